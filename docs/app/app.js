@@ -16,21 +16,43 @@
 // ===== State Management =====
 const state = {
   database: null,
-  fields: [],
+  fields: [], // Stored fields followed by derived fields
+  baseFields: [], // Fields read from the XML
   records: [],
+  derivedFields: [], // Derived field definitions, see core.js
+  derivedFieldErrors: {}, // Derived field name -> error message
+  fieldStructure: { nestedFields: {}, multiValuedFields: {} }, // Flattened fields -> record counts
+  fieldDelimiters: {}, // Delimiters entered for axis fields, kept while switching fields
   currentView: 'upload',
   pivotConfig: {
-    rowField: null,
-    colField: null
+    rowFields: [],
+    colFields: [],
+    aggregation: { type: 'count', field: null },
+    delimiters: {}, // Axis field -> delimiter that splits its values
+    matching: { caseSensitive: true, normalization: '', foldDiacritics: false } // How axis values are grouped
   },
   pivotData: null,
+  pivotLayout: null, // Row/column slots of the rendered pivot table
+  collapsedPivotKeys: { row: new Set(), col: new Set() },
+  pivotDisplayMode: 'count', // count, row-percent, col-percent, total-percent
+  pivotShading: 'none', // none, linear, log
+  comparison: null, // Second database (B) compared with the loaded one (A)
+  recordDiff: null, // Records changed from A to B
+  pivotChartType: 'none', // none, stacked-bar, grouped-bar, mosaic
   columnPreferences: {},
+  savedViews: {}, // Named pivot configurations per database
+  pendingViewConfig: null, // Shared configuration waiting for a database
   currentFilter: null,
+  datasheetSort: { field: null, direction: 'asc' },
+  datasheetSearch: '',
   filterGroups: [],
   nextFilterGroupId: 1,
   nextFilterConditionId: 1,
   filteredRecordsCache: null,
-  fieldValuesCache: {} // Cache unique values per field for multi-select
+  fieldValuesCache: {}, // Cache unique values per field for multi-select
+  source: null, // { blob, encoding } of the loaded XML file, for saving edits
+  editLog: [], // Value edits: { index, field, before, after, reference, batch }
+  savedEditCount: 0 // Length of the edit log when it was last saved
 };
 
 // ===== Service Worker Registration & Update Management =====
@@ -92,118 +114,540 @@ function updateOnlineStatus() {
   }
 }
 
-// ===== XML Parsing (UTF-16 Support) =====
-function parseXMLFile(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    
-    reader.onload = (e) => {
-      try {
-        const xmlText = e.target.result;
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
-        
-        // Check for parsing errors
-        const parserError = xmlDoc.querySelector('parsererror');
-        if (parserError) {
-          reject(new Error('XML parsing error: ' + parserError.textContent));
-          return;
-        }
+// ===== URL Hash Import (#gz:{base64} or #{base64}) =====
+const HASH_GZIP_PREFIX = 'gz:';
 
-        resolve(xmlDoc);
-      } catch (error) {
-        reject(error);
-      }
-    };
-    
-    reader.onerror = () => reject(new Error('File reading error'));
-    
-    // Read as text with UTF-16 encoding
-    reader.readAsText(file, 'UTF-16');
+async function loadDatabaseFromHash() {
+  const payload = window.location.hash.replace(/^#/, '');
+  if (!payload) return;
+
+  // Remove the payload from the address bar right away so a reload or a
+  // bookmark doesn't carry megabytes of data around
+  history.replaceState(null, '', window.location.pathname + window.location.search);
+
+  const fileInfo = document.getElementById('file-info');
+  showSection('upload');
+  fileInfo.innerHTML = '<p>Loading database from URL...</p>';
+  fileInfo.classList.remove('hidden');
+
+  let bytes;
+  try {
+    bytes = await decodeHashPayload(payload);
+  } catch (error) {
+    fileInfo.innerHTML = `<p class="error">Error loading database from URL: ${escapeHtml(error.message)}</p>`;
+    console.error('Error loading database from URL hash:', error);
+    return;
+  }
+
+  // Stored databases are keyed by name, so each payload gets its own: the
+  // same link reopens its copy (and views), another link doesn't replace it
+  await loadDatabaseBlob(new Blob([bytes]), `Imported from URL (${hashBytes(bytes)})`, {
+    errorPrefix: 'Error loading database from URL'
   });
 }
 
-function extractDataFromXML(xmlDoc) {
-  const dataForms = xmlDoc.querySelectorAll('data_form');
-  const records = [];
-  const fieldSet = new Set();
+// A short FNV-1a hash of the bytes, as 8 hex digits
+function hashBytes(bytes) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    hash ^= bytes[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
 
-  dataForms.forEach((form) => {
-    const record = {};
-    
-    // Get all child elements (fields) - include all fields even if empty
-    Array.from(form.children).forEach((child) => {
-      // Skip nested structures (elements with children)
-      if (child.children.length === 0) {
-        const fieldName = child.tagName;
-        const fieldValue = child.textContent.trim();
-        
-        record[fieldName] = fieldValue;
-        fieldSet.add(fieldName);
-      }
-    });
-    
-    if (Object.keys(record).length > 0) {
-      records.push(record);
+async function decodeHashPayload(payload) {
+  const isGzip = payload.startsWith(HASH_GZIP_PREFIX);
+  const base64 = isGzip ? payload.slice(HASH_GZIP_PREFIX.length) : payload;
+  let bytes = decodeBase64(base64);
+
+  if (isGzip) {
+    bytes = await gunzipBytes(bytes);
+  }
+
+  return bytes;
+}
+
+function decodeBase64(text) {
+  let base64 = text;
+  if (base64.includes('%')) {
+    try {
+      base64 = decodeURIComponent(base64);
+    } catch (error) {
+      throw new Error('The URL data contains invalid percent-escapes.');
     }
-  });
+  }
 
-  const fields = Array.from(fieldSet).sort();
-  
-  return { records, fields };
+  // Accept wrapped output from `base64`, spaces that replaced "+", and the URL-safe alphabet
+  base64 = base64
+    .replace(/[\r\n\t]/g, '')
+    .replace(/ /g, '+')
+    .replace(/-/g, '+')
+    .replace(/_/g, '/')
+    .replace(/=+$/, '');
+
+  if (base64.length === 0) {
+    throw new Error('The URL data is empty.');
+  }
+  if (!/^[A-Za-z0-9+/]*$/.test(base64)) {
+    throw new Error('The URL data is not valid base64 (it contains characters outside the base64 alphabet).');
+  }
+  if (base64.length % 4 === 1) {
+    throw new Error('The URL data is not valid base64 (it looks truncated).');
+  }
+  base64 += '='.repeat((4 - (base64.length % 4)) % 4);
+
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
 }
 
-// ===== Pivot Table Generation =====
-function generatePivotTable(records, rowField, colField) {
-  const pivotMap = new Map();
-  const rowValues = new Set();
-  const colValues = new Set();
+async function gunzipBytes(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot decompress "gz:" links. Use an uncompressed link or open the XML file directly.');
+  }
+  // Gzip members start with the magic bytes 1F 8B and are at least 18 bytes long
+  if (bytes.length < 2 || bytes[0] !== 0x1f || bytes[1] !== 0x8b) {
+    throw new Error('The URL data is marked "gz:" but is not gzip-compressed.');
+  }
+  if (bytes.length < 18) {
+    throw new Error('The compressed URL data is incomplete (it looks truncated).');
+  }
 
-  // Build pivot data structure
-  records.forEach((record) => {
-    const rowVal = record[rowField] || '(empty)';
-    const colVal = record[colField] || '(empty)';
-    
-    rowValues.add(rowVal);
-    colValues.add(colVal);
-    
-    const key = `${rowVal}|||${colVal}`;
-    if (!pivotMap.has(key)) {
-      pivotMap.set(key, []);
+  try {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    const buffer = await new Response(stream).arrayBuffer();
+    return new Uint8Array(buffer);
+  } catch (error) {
+    throw new Error('The compressed URL data is truncated or corrupt and could not be decompressed.');
+  }
+}
+
+// ===== Background Processing =====
+// Loading, filtering and pivot generation run in worker.js. If workers are
+// unavailable (or the worker fails), the same core handler runs on the page.
+let coreWorker = null;
+let workerUnavailable = false;
+let localCoreHandler = null;
+let nextCoreRequestId = 1;
+let activeLoadId = null;
+let pivotRequestSeq = 0;
+const pendingCoreRequests = new Map();
+
+function getCoreWorker() {
+  if (coreWorker || workerUnavailable) return coreWorker;
+  try {
+    coreWorker = new Worker('./worker.js');
+    coreWorker.addEventListener('message', handleWorkerMessage);
+    coreWorker.addEventListener('error', handleWorkerFailure);
+  } catch (error) {
+    console.warn('Web Worker unavailable, processing on the main thread:', error);
+    workerUnavailable = true;
+    coreWorker = null;
+  }
+  return coreWorker;
+}
+
+function handleWorkerMessage(event) {
+  const { id, type, progress, result, error } = event.data;
+  const request = pendingCoreRequests.get(id);
+  if (!request) return;
+
+  if (type === 'progress') {
+    if (request.onProgress) request.onProgress(progress);
+    return;
+  }
+
+  pendingCoreRequests.delete(id);
+  if (type === 'error') {
+    const err = new Error(error.message);
+    err.name = error.name;
+    request.reject(err);
+  } else {
+    request.resolve(result);
+  }
+}
+
+function handleWorkerFailure(event) {
+  console.error('Background worker failed, processing on the main thread from now on:', event.message || event);
+  coreWorker.terminate();
+  coreWorker = null;
+  workerUnavailable = true;
+
+  pendingCoreRequests.forEach(request => request.reject(new Error('Background processing failed. Please try again.')));
+  pendingCoreRequests.clear();
+
+  // The fallback handler needs the current records
+  if (state.records.length > 0) {
+    notifyCore('set-records', { records: state.records });
+  }
+  if (state.comparison) {
+    notifyCore('set-comparison', { records: state.comparison.records });
+  }
+}
+
+// For messages whose result isn't needed: a failure is only logged, so a
+// worker that dies doesn't leave an unhandled rejection behind
+function notifyCore(type, payload) {
+  callCore(type, payload).promise.catch((error) => {
+    console.error(`Background request "${type}" failed:`, error);
+  });
+}
+
+const ENCODING_HINT = 'If the text looks wrong, choose the encoding under "Encoding" and load the file again.';
+
+// Returns { id, promise } so that a load can be cancelled by id
+function callCore(type, payload, onProgress) {
+  const id = nextCoreRequestId++;
+  const worker = getCoreWorker();
+
+  if (!worker) {
+    if (!localCoreHandler) {
+      localCoreHandler = createCoreHandler();
     }
-    pivotMap.get(key).push(record);
+    return { id, promise: localCoreHandler(id, type, payload, onProgress) };
+  }
+
+  const promise = new Promise((resolve, reject) => {
+    pendingCoreRequests.set(id, { resolve, reject, onProgress });
+    worker.postMessage({ id, type, payload });
   });
+  return { id, promise };
+}
 
-  // Sort values naturally
-  const sortedRows = Array.from(rowValues).sort(naturalSort);
-  const sortedCols = Array.from(colValues).sort(naturalSort);
+async function loadDatabaseBlob(blob, name, { errorPrefix = 'Error loading database' } = {}) {
+  if (!confirmDiscardEdits()) return;
+  const fileInfo = document.getElementById('file-info');
+  fileInfo.innerHTML = '<p>Loading database...</p>';
+  fileInfo.classList.remove('hidden');
 
-  return {
-    pivotMap,
-    rowValues: sortedRows,
-    colValues: sortedCols,
-    rowField,
-    colField
-  };
+  // 'auto' unless an encoding was chosen on the upload screen
+  const encoding = document.getElementById('encoding-select').value;
+  const request = callCore('load', { blob, encoding }, updateLoadProgress);
+  activeLoadId = request.id;
+  updateLoadProgress({ bytesRead: 0, totalBytes: blob.size, records: 0 });
+
+  try {
+    const result = await request.promise;
+
+    if (result.records.length === 0) {
+      fileInfo.innerHTML = `
+        <p class="error">No records found in database.</p>
+        <p>Encoding: ${escapeHtml(describeEncoding(result.encoding))}</p>
+        ${encoding === 'auto' ? `<p>${ENCODING_HINT}</p>` : ''}
+      `;
+      return;
+    }
+
+    await showLoadedDatabase(name, result.records, result.fields, {
+      size: blob.size,
+      inCore: true,
+      source: { blob, encoding: result.encoding.encoding },
+      encoding: result.encoding,
+      replacementCount: result.replacementCount,
+      structure: result.structure
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      fileInfo.innerHTML = '<p>Loading cancelled.</p>';
+    } else {
+      fileInfo.innerHTML = `
+        <p class="error">${escapeHtml(errorPrefix)}: ${escapeHtml(error.message)}</p>
+        ${encoding === 'auto' ? `<p>${ENCODING_HINT}</p>` : ''}
+      `;
+      console.error('Error parsing XML:', error);
+    }
+  } finally {
+    if (activeLoadId === request.id) {
+      activeLoadId = null;
+      document.getElementById('load-progress').classList.add('hidden');
+    }
+  }
+}
+
+function updateLoadProgress({ bytesRead, totalBytes, records }) {
+  const percent = totalBytes > 0 ? Math.min(100, Math.round((bytesRead / totalBytes) * 100)) : 0;
+  document.getElementById('load-progress').classList.remove('hidden');
+  document.getElementById('load-progress-fill').style.width = `${percent}%`;
+  document.getElementById('load-progress-text').textContent =
+    `Reading ${formatBytes(bytesRead)} of ${formatBytes(totalBytes)} (${percent}%) · ${records.toLocaleString()} records`;
+}
+
+function cancelLoad() {
+  if (activeLoadId !== null) {
+    notifyCore('cancel', { id: activeLoadId });
+  }
+}
+
+// Filters the records and generates the pivot table in the background, then
+// maps the record indices in the result back to state.records
+async function computePivot() {
+  const { rowFields, colFields, aggregation, delimiters, matching } = state.pivotConfig;
+  const { records, comparison } = state;
+  const result = await callCore('pivot', {
+    filterGroups: state.filterGroups,
+    rowFields,
+    colFields,
+    aggregation,
+    delimiters,
+    matching,
+    compare: Boolean(comparison)
+  }).promise;
+
+  // Indices past the records of A refer to the comparison database
+  const toRecords = indices => indices.map(index =>
+    (index < records.length ? records[index] : comparison.records[index - records.length])
+  );
+  const { filteredIndices, ...pivotData } = result;
+  pivotData.pivotMap = new Map(result.pivotMap.map(([key, indices]) => [key, toRecords(indices)]));
+  pivotData.totalsMap = new Map(result.totalsMap.map(([key, indices]) => [key, toRecords(indices)]));
+  const filteredRecords = toRecords(filteredIndices);
+
+  if (comparison) {
+    const filteredB = filteredRecords.filter(record => comparison.recordSet.has(record)).length;
+    pivotData.comparison = {
+      nameA: state.database,
+      nameB: comparison.name,
+      recordSet: comparison.recordSet,
+      filtered: { A: filteredRecords.length - filteredB, B: filteredB },
+      total: { A: records.length, B: comparison.records.length }
+    };
+  }
+
+  return { pivotData, filteredRecords };
+}
+
+// Regenerates and renders the pivot table; resolves to false if it failed or
+// a newer request superseded it
+async function updatePivot() {
+  const seq = ++pivotRequestSeq;
+  setPivotBusy(true);
+
+  try {
+    const { pivotData, filteredRecords } = await computePivot();
+    if (seq !== pivotRequestSeq) return false;
+
+    state.filteredRecordsCache = filteredRecords;
+    state.pivotData = pivotData;
+    renderPivotTable(state.pivotData, filteredRecords.length, state.records.length);
+    return true;
+  } catch (error) {
+    if (seq === pivotRequestSeq) {
+      showNotice(`Could not generate the pivot table: ${error.message}`, 'error');
+      console.error('Error generating pivot table:', error);
+    }
+    return false;
+  } finally {
+    if (seq === pivotRequestSeq) {
+      setPivotBusy(false);
+    }
+  }
+}
+
+function setPivotBusy(busy) {
+  const generateBtn = document.getElementById('generate-btn');
+  generateBtn.textContent = busy ? 'Generating…' : 'Generate Pivot Table';
+  document.getElementById('refresh-pivot-btn').disabled = busy;
+  if (busy) {
+    generateBtn.disabled = true;
+  } else {
+    handleFieldChange();
+  }
+}
+
+// ===== Pivot Cell Values =====
+// In a comparison pivot, side ('A' or 'B') limits the records to one database
+function getPivotCellRecords(pivotData, rowKey, colKey, side = null) {
+  const key = `${rowKey}|||${colKey}`;
+  const records = pivotData.pivotMap.get(key) || pivotData.totalsMap.get(key) || [];
+  if (!side) return records;
+  return records.filter(record => getRecordSide(pivotData.comparison, record) === side);
+}
+
+const PIVOT_DISPLAY_MODES = {
+  'count': 'Count',
+  'row-percent': '% of Row',
+  'col-percent': '% of Column',
+  'total-percent': '% of Grand Total'
+};
+
+const AGGREGATIONS = {
+  'count': { label: 'Count of records', needsField: false },
+  'count-distinct': { label: 'Count distinct values', needsField: true },
+  'list-distinct': { label: 'List distinct values', needsField: true },
+  'first': { label: 'First example', needsField: true },
+  'min': { label: 'Minimum (numeric)', needsField: true },
+  'max': { label: 'Maximum (numeric)', needsField: true },
+  'mean': { label: 'Mean (numeric)', needsField: true }
+};
+
+// Number of distinct values shown in a cell before "+N more"
+const LIST_DISTINCT_DISPLAY_LIMIT = 5;
+
+function aggregateRecords(records, aggregation) {
+  const field = aggregation.field;
+  const values = () => records
+    .map(record => record[field])
+    .filter(value => value !== undefined && value !== null && value !== '');
+
+  switch (aggregation.type) {
+    case 'count-distinct':
+      return new Set(values()).size;
+    case 'list-distinct':
+      return Array.from(new Set(values())).sort(naturalSort);
+    case 'first': {
+      const found = values();
+      return found.length > 0 ? found[0] : null;
+    }
+    case 'min':
+    case 'max':
+    case 'mean': {
+      const numbers = values()
+        .map(value => Number(String(value).trim()))
+        .filter(number => isFinite(number));
+      if (numbers.length === 0) return null;
+      // Reduced rather than spread: spreading a large database's values
+      // into Math.min/max overflows the call stack
+      if (aggregation.type === 'min') return numbers.reduce((min, number) => Math.min(min, number));
+      if (aggregation.type === 'max') return numbers.reduce((max, number) => Math.max(max, number));
+      return numbers.reduce((sum, number) => sum + number, 0) / numbers.length;
+    }
+    default:
+      return records.length;
+  }
+}
+
+function describeAggregation(aggregation) {
+  if (aggregation.type === 'count') return AGGREGATIONS.count.label;
+  return `${AGGREGATIONS[aggregation.type].label} of ${aggregation.field}`;
+}
+
+// Percentages only make sense for record counts
+function getPivotDisplayMode(pivotData) {
+  return pivotData.aggregation.type === 'count' ? state.pivotDisplayMode : 'count';
+}
+
+// Value shown in a cell for the aggregation and display mode; percentages are 0-100
+function getPivotCellValue(pivotData, rowKey, colKey, mode, side = null) {
+  const records = getPivotCellRecords(pivotData, rowKey, colKey, side);
+  if (pivotData.aggregation.type !== 'count') {
+    return aggregateRecords(records, pivotData.aggregation);
+  }
+
+  const count = records.length;
+  let base;
+  switch (mode) {
+    case 'row-percent':
+      base = getPivotCellRecords(pivotData, rowKey, '', side).length;
+      break;
+    case 'col-percent':
+      base = getPivotCellRecords(pivotData, '', colKey, side).length;
+      break;
+    case 'total-percent':
+      base = getPivotCellRecords(pivotData, '', '', side).length;
+      break;
+    default:
+      return count;
+  }
+  return base > 0 ? (count / base) * 100 : 0;
+}
+
+function formatPivotCellValue(value, mode, aggregation) {
+  switch (aggregation.type) {
+    case 'count-distinct':
+      return `${value} distinct`;
+    case 'list-distinct': {
+      const shown = value.slice(0, LIST_DISTINCT_DISPLAY_LIMIT).join(', ');
+      const more = value.length - LIST_DISTINCT_DISPLAY_LIMIT;
+      return more > 0 ? `${shown} … +${more} more` : shown;
+    }
+    case 'first':
+      return value === null ? '—' : String(value);
+    case 'min':
+    case 'max':
+    case 'mean':
+      return value === null ? '—' : formatNumber(value);
+  }
+
+  if (mode === 'count') {
+    return `${value} entries`;
+  }
+  return `${value.toFixed(1)}%`;
+}
+
+// Plain value for CSV/TSV/XLSX export
+function getPivotExportValue(value, mode, aggregation) {
+  switch (aggregation.type) {
+    case 'list-distinct':
+      return value.join(', ');
+    case 'first':
+      return value === null ? '' : value;
+    case 'min':
+    case 'max':
+    case 'mean':
+      return value === null ? '' : Math.round(value * 10000) / 10000;
+  }
+  return mode === 'count' ? value : Math.round(value * 100) / 100;
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+function describePivotPath(fields, key) {
+  if (key === '') {
+    return [{ field: fields.join(' > '), value: '(all)' }];
+  }
+  return key.split(PIVOT_PATH_SEPARATOR).map((value, index) => ({ field: fields[index], value }));
+}
+
+function formatPivotPathHtml(fields, key) {
+  return describePivotPath(fields, key)
+    .map(({ field, value }) => `<strong>${escapeHtml(field)}:</strong> ${escapeHtml(value)}`)
+    .join(' | ');
 }
 
-function naturalSort(a, b) {
-  return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+function formatPivotPathText(fields, key) {
+  return describePivotPath(fields, key)
+    .map(({ field, value }) => `${field}=${value}`)
+    .join(', ');
 }
 
 // ===== Advanced Filtering =====
-function createFilterGroup() {
+// Top-level groups are combined with OR; each group may hold subgroups to
+// any depth (see filterRecords in core.js). Group ids are unique across the tree.
+function createFilterGroup(parentId = null) {
   const group = {
     id: state.nextFilterGroupId++,
     logic: 'AND', // AND or OR
-    conditions: []
+    negate: false, // NOT checkbox of the group
+    conditions: [],
+    subgroups: []
   };
-  state.filterGroups.push(group);
+  if (parentId === null) {
+    state.filterGroups.push(group);
+  } else {
+    const parent = findFilterGroup(parentId);
+    if (!parent) return null;
+    parent.subgroups.push(group);
+  }
   return group;
 }
 
+function findFilterGroup(groupId, groups = state.filterGroups) {
+  for (const group of groups) {
+    if (group.id === groupId) return group;
+    const found = findFilterGroup(groupId, group.subgroups);
+    if (found) return found;
+  }
+  return null;
+}
+
 function addFilterCondition(groupId) {
-  const group = state.filterGroups.find(g => g.id === groupId);
+  const group = findFilterGroup(groupId);
   if (!group) return;
   
   const condition = {
@@ -213,14 +657,17 @@ function addFilterCondition(groupId) {
     value: '',
     values: [], // For multi-select
     useRegex: false,
-    negate: false // NOT checkbox
+    negate: false, // NOT checkbox
+    caseSensitive: false,
+    normalization: '', // '', 'NFC' or 'NFD'
+    foldDiacritics: false
   };
   group.conditions.push(condition);
   return condition;
 }
 
 function removeFilterCondition(groupId, conditionId) {
-  const group = state.filterGroups.find(g => g.id === groupId);
+  const group = findFilterGroup(groupId);
   if (!group) return;
   
   group.conditions = group.conditions.filter(c => c.id !== conditionId);
@@ -228,7 +675,10 @@ function removeFilterCondition(groupId, conditionId) {
 }
 
 function removeFilterGroup(groupId) {
-  state.filterGroups = state.filterGroups.filter(g => g.id !== groupId);
+  const remove = groups => groups
+    .filter(g => g.id !== groupId)
+    .map(g => ({ ...g, subgroups: remove(g.subgroups) }));
+  state.filterGroups = remove(state.filterGroups);
   renderFilterGroups();
 }
 
@@ -239,10 +689,16 @@ function clearAllFilters() {
   renderFilterGroups();
 }
 
-function getFieldValues(fieldName) {
+// matching: text matching options (see getTextNormalizer in core.js); values
+// that are equal under them are listed once, by the first of their spellings
+function getFieldValues(fieldName, matching = null) {
+  const normalize = matching ? getTextNormalizer(matching) : null;
+  const cacheKey = normalize
+    ? `${fieldName}|${!!matching.caseSensitive}|${matching.normalization || ''}|${!!matching.foldDiacritics}`
+    : fieldName;
   // Cache field values for performance
-  if (state.fieldValuesCache[fieldName]) {
-    return state.fieldValuesCache[fieldName];
+  if (state.fieldValuesCache[cacheKey]) {
+    return state.fieldValuesCache[cacheKey];
   }
   
   const valuesSet = new Set();
@@ -253,121 +709,28 @@ function getFieldValues(fieldName) {
     }
   });
   
-  const sortedValues = Array.from(valuesSet).sort(naturalSort);
-  state.fieldValuesCache[fieldName] = sortedValues;
-  return sortedValues;
-}
-
-function applyFilters(records) {
-  if (state.filterGroups.length === 0) {
-    return records;
-  }
-  
-  // Each filter group is evaluated independently, then combined with OR
-  return records.filter(record => {
-    // At least one filter group must match (OR between groups)
-    return state.filterGroups.some(group => evaluateFilterGroup(record, group));
-  });
-}
-
-function evaluateFilterGroup(record, group) {
-  if (group.conditions.length === 0) {
-    return true; // Empty group matches everything
-  }
-  
-  // All conditions in a group must match if AND, or at least one if OR
-  if (group.logic === 'AND') {
-    return group.conditions.every(condition => evaluateCondition(record, condition));
-  } else {
-    return group.conditions.some(condition => evaluateCondition(record, condition));
+  let sortedValues = Array.from(valuesSet).sort(naturalSort);
+  if (normalize) {
+    const seen = new Set();
+    sortedValues = sortedValues.filter((value) => {
+      const key = normalize(value);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
   }
+  state.fieldValuesCache[cacheKey] = sortedValues;
+  return sortedValues;
 }
 
-function evaluateCondition(record, condition) {
-  const fieldValue = String(record[condition.field] || '');
-  let result;
-  
-  // Handle multi-select operator (in-list)
-  if (condition.operator === 'in-list') {
-    if (!condition.values || condition.values.length === 0) {
-      result = true; // Empty list matches everything
-    } else {
-      result = condition.values.some(val => {
-        const valLower = String(val).toLowerCase();
-        return fieldValue.toLowerCase() === valLower;
-      });
-    }
-  }
-  // Handle other operators
-  else {
-    const testValue = String(condition.value);
-    
-    if (!testValue && condition.operator !== 'empty' && condition.operator !== 'not-empty') {
-      result = true; // Empty condition matches everything
-    } else {
-      try {
-        if (condition.useRegex) {
-          const regex = new RegExp(testValue, 'i'); // Case insensitive
-          switch (condition.operator) {
-            case 'equals':
-            case 'contains':
-              result = regex.test(fieldValue);
-              break;
-            case 'not-equals':
-            case 'not-contains':
-              result = !regex.test(fieldValue);
-              break;
-            case 'starts-with':
-              result = new RegExp('^' + testValue, 'i').test(fieldValue);
-              break;
-            case 'ends-with':
-              result = new RegExp(testValue + '$', 'i').test(fieldValue);
-              break;
-            default:
-              result = true;
-          }
-        } else {
-          const fieldLower = fieldValue.toLowerCase();
-          const testLower = testValue.toLowerCase();
-          
-          switch (condition.operator) {
-            case 'equals':
-              result = fieldLower === testLower;
-              break;
-            case 'not-equals':
-              result = fieldLower !== testLower;
-              break;
-            case 'contains':
-              result = fieldLower.includes(testLower);
-              break;
-            case 'not-contains':
-              result = !fieldLower.includes(testLower);
-              break;
-            case 'starts-with':
-              result = fieldLower.startsWith(testLower);
-              break;
-            case 'ends-with':
-              result = fieldLower.endsWith(testLower);
-              break;
-            case 'empty':
-              result = fieldValue === '';
-              break;
-            case 'not-empty':
-              result = fieldValue !== '';
-              break;
-            default:
-              result = true;
-          }
-        }
-      } catch (error) {
-        console.error('Filter evaluation error:', error);
-        result = false; // Invalid regex or other error
-      }
-    }
-  }
-  
-  // Apply negation if NOT is checked
-  return condition.negate ? !result : result;
+// A short description of the axis matching options, or '' for exact grouping
+function describeMatching(matching) {
+  if (!matching) return '';
+  const parts = [];
+  if (!matching.caseSensitive) parts.push('ignoring case');
+  if (matching.normalization) parts.push(matching.normalization);
+  if (matching.foldDiacritics) parts.push('ignoring diacritics');
+  return parts.join(', ');
 }
 
 function renderFilterGroups() {
@@ -380,110 +743,156 @@ function renderFilterGroups() {
   
   let html = '';
   state.filterGroups.forEach((group, groupIndex) => {
-    html += `
-      <div class=\"filter-group\" data-group-id=\"${group.id}\">
-        <div class=\"filter-group-header\">
-          <span class=\"filter-group-title\">Filter Group ${groupIndex + 1}</span>
-          <div class=\"filter-group-logic\">
-            <label>Logic:</label>
-            <select class=\"group-logic-select\" data-group-id=\"${group.id}\">
-              <option value=\"AND\" ${group.logic === 'AND' ? 'selected' : ''}>AND (all must match)</option>
-              <option value=\"OR\" ${group.logic === 'OR' ? 'selected' : ''}>OR (any must match)</option>
-            </select>
-          </div>
-          <button class=\"remove-group-btn\" data-group-id=\"${group.id}\">Remove Group</button>
-        </div>
-        <div class=\"filter-conditions\">
-    `;
+    html += renderFilterGroup(group, [groupIndex + 1]);
     
-    group.conditions.forEach((condition) => {
-      const isMultiSelect = condition.operator === 'in-list';
-      const isEmptyOperator = condition.operator === 'empty' || condition.operator === 'not-empty';
-      const fieldValues = getFieldValues(condition.field);
-      
-      html += `
-        <div class="filter-condition" data-condition-id="${condition.id}">
-          <div class="filter-field">
-            <label>Field</label>
-            <select class="condition-field" data-group-id="${group.id}" data-condition-id="${condition.id}">
-              ${state.fields.map(field => 
-                `<option value="${escapeHtml(field)}" ${field === condition.field ? 'selected' : ''}>${escapeHtml(field)}</option>`
-              ).join('')}
-            </select>
-          </div>
-          <div class="filter-field">
-            <label>Operator</label>
-            <select class="condition-operator" data-group-id="${group.id}" data-condition-id="${condition.id}">
-              <option value="equals" ${condition.operator === 'equals' ? 'selected' : ''}>Equals</option>
-              <option value="not-equals" ${condition.operator === 'not-equals' ? 'selected' : ''}>Not Equals</option>
-              <option value="contains" ${condition.operator === 'contains' ? 'selected' : ''}>Contains</option>
-              <option value="not-contains" ${condition.operator === 'not-contains' ? 'selected' : ''}>Not Contains</option>
-              <option value="starts-with" ${condition.operator === 'starts-with' ? 'selected' : ''}>Starts With</option>
-              <option value="ends-with" ${condition.operator === 'ends-with' ? 'selected' : ''}>Ends With</option>
-              <option value="in-list" ${condition.operator === 'in-list' ? 'selected' : ''}>In List</option>
-              <option value="empty" ${condition.operator === 'empty' ? 'selected' : ''}>Is Empty</option>
-              <option value="not-empty" ${condition.operator === 'not-empty' ? 'selected' : ''}>Not Empty</option>
-            </select>
-          </div>
-          <div class="filter-field" ${isMultiSelect || isEmptyOperator ? 'style="display:none;"' : ''}>
-            <label>Value</label>
-            <input type="text" class="condition-value" 
+    if (groupIndex < state.filterGroups.length - 1) {
+      html += '<div class=\"filter-group-separator\">OR</div>';
+    }
+  });
+  
+  container.innerHTML = html;
+  attachFilterEventListeners();
+}
+
+// path: the group's position in the tree, e.g. [2, 1] for the first subgroup of group 2
+function renderFilterGroup(group, path) {
+  const isSubgroup = path.length > 1;
+  const title = isSubgroup ? `Subgroup ${path.join('.')}` : `Filter Group ${path[0]}`;
+  return `
+    <div class="filter-group${isSubgroup ? ' filter-subgroup' : ''}" data-group-id="${group.id}">
+      <div class="filter-group-header">
+        <span class="filter-group-title">${escapeHtml(title)}</span>
+        <div class="filter-group-logic">
+          <label>Logic:</label>
+          <select class="group-logic-select" data-group-id="${group.id}">
+            <option value="AND" ${group.logic === 'AND' ? 'selected' : ''}>AND (all must match)</option>
+            <option value="OR" ${group.logic === 'OR' ? 'selected' : ''}>OR (any must match)</option>
+          </select>
+          <span class="group-negate-toggle">
+            <input type="checkbox" class="group-negate" id="group-negate-${group.id}" data-group-id="${group.id}" ${group.negate ? 'checked' : ''}>
+            <label for="group-negate-${group.id}" title="Match the records this group doesn't match">NOT</label>
+          </span>
+        </div>
+        <button class="remove-group-btn" data-group-id="${group.id}">Remove ${isSubgroup ? 'Subgroup' : 'Group'}</button>
+      </div>
+      <div class="filter-conditions">
+        ${group.conditions.map(condition => renderFilterCondition(group, condition)).join('')}
+      </div>
+      ${group.subgroups.map((subgroup, index) => renderFilterGroup(subgroup, [...path, index + 1])).join('')}
+      <div class="filter-group-actions">
+        <button class="add-condition-btn" data-group-id="${group.id}">+ Add Condition</button>
+        <button class="add-condition-btn add-subgroup-btn" data-group-id="${group.id}">+ Add Subgroup</button>
+      </div>
+    </div>
+  `;
+}
+
+function renderFilterCondition(group, condition) {
+  const isMultiSelect = condition.operator === 'in-list';
+  const isEmptyOperator = condition.operator === 'empty' || condition.operator === 'not-empty';
+  const fieldValues = getFieldValues(condition.field, condition);
+  const normalize = getTextNormalizer(condition);
+  const selectedValues = new Set((condition.values || []).map(value => normalize(value)));
+
+  return `
+      <div class="filter-condition" data-condition-id="${condition.id}">
+        <div class="filter-field">
+          <label>Field</label>
+          <select class="condition-field" data-group-id="${group.id}" data-condition-id="${condition.id}">
+            ${state.fields.map(field => 
+              `<option value="${escapeHtml(field)}" ${field === condition.field ? 'selected' : ''}>${escapeHtml(field)}</option>`
+            ).join('')}
+          </select>
+        </div>
+        <div class="filter-field">
+          <label>Operator</label>
+          <select class="condition-operator" data-group-id="${group.id}" data-condition-id="${condition.id}">
+            <option value="equals" ${condition.operator === 'equals' ? 'selected' : ''}>Equals</option>
+            <option value="not-equals" ${condition.operator === 'not-equals' ? 'selected' : ''}>Not Equals</option>
+            <option value="contains" ${condition.operator === 'contains' ? 'selected' : ''}>Contains</option>
+            <option value="not-contains" ${condition.operator === 'not-contains' ? 'selected' : ''}>Not Contains</option>
+            <option value="starts-with" ${condition.operator === 'starts-with' ? 'selected' : ''}>Starts With</option>
+            <option value="ends-with" ${condition.operator === 'ends-with' ? 'selected' : ''}>Ends With</option>
+            <option value="in-list" ${condition.operator === 'in-list' ? 'selected' : ''}>In List</option>
+            <option value="empty" ${condition.operator === 'empty' ? 'selected' : ''}>Is Empty</option>
+            <option value="not-empty" ${condition.operator === 'not-empty' ? 'selected' : ''}>Not Empty</option>
+          </select>
+        </div>
+        <div class="filter-field" ${isMultiSelect || isEmptyOperator ? 'style="display:none;"' : ''}>
+          <label>Value</label>
+          <input type="text" class="condition-value" 
+            data-group-id="${group.id}" 
+            data-condition-id="${condition.id}"
+            value="${escapeHtml(condition.value)}"
+            placeholder="Filter value"
+            ${isEmptyOperator ? 'disabled' : ''}>
+        </div>
+        <div class="filter-field filter-multiselect" ${isMultiSelect ? '' : 'style="display:none;"'}>
+          <label>Values (Ctrl/Cmd+Click for multiple)</label>
+          <select multiple class="condition-values" 
+            data-group-id="${group.id}" 
+            data-condition-id="${condition.id}"
+            size="5">
+            ${fieldValues.map(val => {
+              const selected = selectedValues.has(normalize(val)) ? 'selected' : '';
+              return `<option value="${escapeHtml(val)}" ${selected}>${escapeHtml(val)}</option>`;
+            }).join('')}
+          </select>
+        </div>
+        <div class="regex-toggle" ${isMultiSelect || isEmptyOperator ? 'style="display:none;"' : ''}>
+          <input type="checkbox" 
+            class="condition-regex" 
+            id="regex-${condition.id}"
+            data-group-id="${group.id}" 
+            data-condition-id="${condition.id}"
+            ${condition.useRegex ? 'checked' : ''}>
+          <label for="regex-${condition.id}">Regex</label>
+        </div>
+        <div class="not-toggle">
+          <input type="checkbox" 
+            class="condition-negate" 
+            id="negate-${condition.id}"
+            data-group-id="${group.id}" 
+            data-condition-id="${condition.id}"
+            ${condition.negate ? 'checked' : ''}>
+          <label for="negate-${condition.id}">NOT</label>
+        </div>
+        <button class="remove-condition-btn" 
+          data-group-id="${group.id}" 
+          data-condition-id="${condition.id}">×</button>
+        <div class="filter-match-options" ${isEmptyOperator ? 'style="display:none;"' : ''}>
+          <span class="regex-toggle">
+            <input type="checkbox" 
+              class="condition-case" 
+              id="case-${condition.id}"
               data-group-id="${group.id}" 
               data-condition-id="${condition.id}"
-              value="${escapeHtml(condition.value)}"
-              placeholder="Filter value"
-              ${isEmptyOperator ? 'disabled' : ''}>
-          </div>
-          <div class="filter-field filter-multiselect" ${isMultiSelect ? '' : 'style="display:none;"'}>
-            <label>Values (Ctrl/Cmd+Click for multiple)</label>
-            <select multiple class="condition-values" 
+              ${condition.caseSensitive ? 'checked' : ''}>
+            <label for="case-${condition.id}">Case-sensitive</label>
+          </span>
+          <span class="regex-toggle">
+            <label for="normalization-${condition.id}" title="Unicode normalization, so that composed and decomposed spellings of a character match">Normalize</label>
+            <select class="condition-normalization" 
+              id="normalization-${condition.id}"
               data-group-id="${group.id}" 
-              data-condition-id="${condition.id}"
-              size="5">
-              ${fieldValues.map(val => {
-                const selected = condition.values && condition.values.includes(val) ? 'selected' : '';
-                return `<option value="${escapeHtml(val)}" ${selected}>${escapeHtml(val)}</option>`;
-              }).join('')}
+              data-condition-id="${condition.id}">
+              ${Object.entries(NORMALIZATION_FORMS).map(([form, label]) =>
+                `<option value="${form}" ${(condition.normalization || '') === form ? 'selected' : ''}>${escapeHtml(label)}</option>`
+              ).join('')}
             </select>
-          </div>
-          <div class="regex-toggle" ${isMultiSelect || isEmptyOperator ? 'style="display:none;"' : ''}>
+          </span>
+          <span class="regex-toggle">
             <input type="checkbox" 
-              class="condition-regex" 
-              id="regex-${condition.id}"
+              class="condition-fold" 
+              id="fold-${condition.id}"
               data-group-id="${group.id}" 
               data-condition-id="${condition.id}"
-              ${condition.useRegex ? 'checked' : ''}>
-            <label for="regex-${condition.id}">Regex</label>
-          </div>
-          <div class="not-toggle">
-            <input type="checkbox" 
-              class="condition-negate" 
-              id="negate-${condition.id}"
-              data-group-id="${group.id}" 
-              data-condition-id="${condition.id}"
-              ${condition.negate ? 'checked' : ''}>
-            <label for="negate-${condition.id}">NOT</label>
-          </div>
-          <button class="remove-condition-btn" 
-            data-group-id="${group.id}" 
-            data-condition-id="${condition.id}">×</button>
+              ${condition.foldDiacritics ? 'checked' : ''}>
+            <label for="fold-${condition.id}" title="Match “a” to “á” and “à”">Ignore diacritics &amp; tone marks</label>
+          </span>
         </div>
-      `;
-    });
-    
-    html += `
-        </div>
-        <button class=\"add-condition-btn\" data-group-id=\"${group.id}\">+ Add Condition</button>
       </div>
-    `;
-    
-    if (groupIndex < state.filterGroups.length - 1) {
-      html += '<div class=\"filter-group-separator\">OR</div>';
-    }
-  });
-  
-  container.innerHTML = html;
-  attachFilterEventListeners();
+`;
 }
 
 function attachFilterEventListeners() {
@@ -491,12 +900,22 @@ function attachFilterEventListeners() {
   document.querySelectorAll('.group-logic-select').forEach(select => {
     select.addEventListener('change', (e) => {
       const groupId = parseInt(e.target.dataset.groupId);
-      const group = state.filterGroups.find(g => g.id === groupId);
+      const group = findFilterGroup(groupId);
       if (group) {
         group.logic = e.target.value;
       }
     });
   });
+
+  // Group NOT checkbox changes
+  document.querySelectorAll('.group-negate').forEach(checkbox => {
+    checkbox.addEventListener('change', (e) => {
+      const group = findFilterGroup(parseInt(e.target.dataset.groupId));
+      if (group) {
+        group.negate = e.target.checked;
+      }
+    });
+  });
   
   // Remove group buttons
   document.querySelectorAll('.remove-group-btn').forEach(btn => {
@@ -506,11 +925,15 @@ function attachFilterEventListeners() {
     });
   });
   
-  // Add condition buttons
+  // Add condition and add subgroup buttons
   document.querySelectorAll('.add-condition-btn').forEach(btn => {
     btn.addEventListener('click', (e) => {
       const groupId = parseInt(e.target.dataset.groupId);
-      addFilterCondition(groupId);
+      if (btn.classList.contains('add-subgroup-btn')) {
+        addFilterCondition(createFilterGroup(groupId).id);
+      } else {
+        addFilterCondition(groupId);
+      }
       renderFilterGroups();
     });
   });
@@ -531,7 +954,7 @@ function attachFilterEventListeners() {
       // Re-render to update available values for multi-select
       const groupId = parseInt(e.target.dataset.groupId);
       const conditionId = parseInt(e.target.dataset.conditionId);
-      const group = state.filterGroups.find(g => g.id === groupId);
+      const group = findFilterGroup(groupId);
       const condition = group?.conditions.find(c => c.id === conditionId);
       if (condition && condition.operator === 'in-list') {
         renderFilterGroups();
@@ -560,7 +983,7 @@ function attachFilterEventListeners() {
     select.addEventListener('change', (e) => {
       const groupId = parseInt(e.target.dataset.groupId);
       const conditionId = parseInt(e.target.dataset.conditionId);
-      const group = state.filterGroups.find(g => g.id === groupId);
+      const group = findFilterGroup(groupId);
       if (!group) return;
       
       const condition = group.conditions.find(c => c.id === conditionId);
@@ -583,12 +1006,25 @@ function attachFilterEventListeners() {
       updateConditionField(e.target);
     });
   });
-}
 
-function updateConditionField(element) {
+  // Text matching option changes
+  document.querySelectorAll('.condition-case, .condition-normalization, .condition-fold').forEach(control => {
+    control.addEventListener('change', (e) => {
+      updateConditionField(e.target);
+      // Re-render to group the multi-select values under the new options
+      const group = findFilterGroup(parseInt(e.target.dataset.groupId));
+      const condition = group?.conditions.find(c => c.id === parseInt(e.target.dataset.conditionId));
+      if (condition && condition.operator === 'in-list') {
+        renderFilterGroups();
+      }
+    });
+  });
+}
+
+function updateConditionField(element) {
   const groupId = parseInt(element.dataset.groupId);
   const conditionId = parseInt(element.dataset.conditionId);
-  const group = state.filterGroups.find(g => g.id === groupId);
+  const group = findFilterGroup(groupId);
   if (!group) return;
   
   const condition = group.conditions.find(c => c.id === conditionId);
@@ -604,22 +1040,68 @@ function updateConditionField(element) {
     condition.useRegex = element.checked;
   } else if (element.classList.contains('condition-negate')) {
     condition.negate = element.checked;
+  } else if (element.classList.contains('condition-case')) {
+    condition.caseSensitive = element.checked;
+  } else if (element.classList.contains('condition-normalization')) {
+    condition.normalization = element.value;
+  } else if (element.classList.contains('condition-fold')) {
+    condition.foldDiacritics = element.checked;
+  }
+}
+
+// ----- Filter query -----
+// The filter groups as text (see parseFilterQuery in core.js). Applying a
+// query replaces the groups; the groups can be written back as a query.
+function applyFilterQuery() {
+  const input = document.getElementById('filter-query');
+  let groups;
+  try {
+    groups = parseFilterQuery(input.value, state.fields);
+  } catch (error) {
+    showFilterQueryError(input.value, error);
+    input.focus();
+    if (error.position !== undefined) {
+      input.setSelectionRange(error.position, error.position);
+    }
+    return;
   }
+
+  restoreFilterGroups(groups);
+  renderFilterGroups();
+  showFilterQueryError(null);
+  // Written back as the groups hold it, e.g. with conditions before subgroups
+  input.value = formatFilterQuery(state.filterGroups);
+}
+
+function showFilterQuery() {
+  document.getElementById('filter-query').value = formatFilterQuery(state.filterGroups);
+  showFilterQueryError(null);
+}
+
+function showFilterQueryError(query, error) {
+  const container = document.getElementById('filter-query-error');
+  container.classList.toggle('hidden', !error);
+  if (!error) {
+    container.innerHTML = '';
+    return;
+  }
+  // The query line with a marker under the position of the problem
+  const marker = error.position !== undefined
+    ? `<pre class="filter-query-marker">${escapeHtml(query.replace(/\s/g, ' '))}\n${' '.repeat(error.position)}^</pre>`
+    : '';
+  container.innerHTML = `<p>${escapeHtml(error.message)}</p>${marker}`;
 }
 
 // ===== Pivot Refresh =====
-function refreshPivotWithFilters() {
+async function refreshPivotWithFilters() {
   // Reapply filters and regenerate pivot table
-  const rowField = state.pivotConfig.rowField;
-  const colField = state.pivotConfig.colField;
-  
-  if (!rowField || !colField) return;
+  const { rowFields, colFields } = state.pivotConfig;
   
-  const filteredRecords = applyFilters(state.records);
-  state.filteredRecordsCache = filteredRecords;
+  if (rowFields.length === 0 || colFields.length === 0) return;
   
-  state.pivotData = generatePivotTable(filteredRecords, rowField, colField);
-  renderPivotTable(state.pivotData, filteredRecords.length, state.records.length);
+  if (await updatePivot()) {
+    saveWorkspace();
+  }
 }
 
 // ===== Rendering Functions =====
@@ -631,34 +1113,163 @@ function renderPivotTable(pivotData, filteredCount, totalCount) {
     ? ` (${filteredCount} after filtering from ${totalCount} total)` 
     : '';
   
+  const recordInfo = pivotData.comparison
+    ? formatComparisonRecordCounts(pivotData.comparison)
+    : `${filteredCount}${filterInfo}`;
   info.innerHTML = `
-    <strong>Rows:</strong> ${pivotData.rowField} | 
-    <strong>Columns:</strong> ${pivotData.colField} | 
-    <strong>Records:</strong> ${filteredCount}${filterInfo}
+    <strong>Rows:</strong> ${escapeHtml(pivotData.rowField)} | 
+    <strong>Columns:</strong> ${escapeHtml(pivotData.colField)} | 
+    <strong>Records:</strong> ${recordInfo}
   `;
+  if (pivotData.aggregation.type !== 'count') {
+    info.innerHTML += ` | <strong>Value:</strong> ${escapeHtml(describeAggregation(pivotData.aggregation))}`;
+  }
+  const splitFields = Object.entries(pivotData.delimiters);
+  if (splitFields.length > 0) {
+    info.innerHTML += ` | <strong>Split:</strong> ${splitFields.map(([field, delimiter]) =>
+      `${escapeHtml(field)} by “${escapeHtml(delimiter)}”`).join(', ')}`;
+  }
+  const matchingText = describeMatching(pivotData.matching);
+  if (matchingText) {
+    info.innerHTML += ` | <strong>Values:</strong> ${escapeHtml(matchingText)}`;
+  }
+  if (pivotData.splitRecordCount > 0) {
+    const count = pivotData.splitRecordCount;
+    info.innerHTML += `
+      <div class="pivot-split-note">
+        ${count} record${count === 1 ? ' is' : 's are'} counted under several values,
+        so cell counts add up to more than the ${filteredCount} records.
+      </div>
+    `;
+  }
+  if (pivotData.comparison) {
+    info.innerHTML += `
+      <div class="pivot-comparison-note">
+        Comparing <span class="comparison-a">A</span> ${escapeHtml(pivotData.comparison.nameA)}
+        with <span class="comparison-b">B</span> ${escapeHtml(pivotData.comparison.nameB)}.
+        Cells show A, B and the difference B − A;
+        <span class="comparison-only-a-key">cells only in A</span> and
+        <span class="comparison-only-b-key">cells only in B</span> are highlighted.
+      </div>
+    `;
+  }
+
+  const mode = getPivotDisplayMode(pivotData);
+  document.getElementById('display-mode').disabled = pivotData.aggregation.type !== 'count';
+  const rowSlots = getPivotRowSlots(pivotData.rowTree, state.collapsedPivotKeys.row);
+  const { headerRows, slots: colSlots } = getPivotColumnLayout(
+    pivotData.colTree, state.collapsedPivotKeys.col, pivotData.colFields.length
+  );
+
+  // Grand totals: a last column for every row and a last row for every column
+  rowSlots.push({ key: '', value: 'Total', depth: 0, isGroup: false, isCollapsed: false, isTotal: true });
+  colSlots.push({ key: '', isSubtotal: true, isTotal: true });
+  state.pivotLayout = { rowSlots, colSlots };
+
+  // Heatmap shading covers the finest cells, so subtotals don't dominate the scale
+  const canShade = !pivotData.comparison;
+  const numeric = isNumericAggregation(pivotData.aggregation);
+  const shadingSelect = document.getElementById('heatmap-scale');
+  shadingSelect.disabled = !canShade;
+  shadingSelect.querySelectorAll('option[value="linear"], option[value="log"]').forEach((option) => {
+    option.disabled = !numeric;
+  });
+  const heatmapEnabled = canShade && numeric && ['linear', 'log'].includes(state.pivotShading);
+  const shadedRows = new Set(heatmapEnabled ? getVisibleLeafSlots(rowSlots) : []);
+  const shadedCols = new Set(heatmapEnabled ? getVisibleLeafSlots(colSlots) : []);
+  const heatmap = heatmapEnabled
+    ? createHeatmapScale(
+      [...shadedRows].flatMap(rowSlot => [...shadedCols].map(colSlot =>
+        getPivotCellRecords(pivotData, rowSlot.key, colSlot.key).length > 0
+          ? getPivotCellValue(pivotData, rowSlot.key, colSlot.key, mode)
+          : null
+      )),
+      state.pivotShading
+    )
+    : null;
+  renderHeatmapLegend(heatmap, mode);
+
+  // Residual shading colors the leaf cells, including empty ones
+  const stats = pivotData.comparison ? null : getPivotAssociationStats(pivotData);
+  renderPivotStats(pivotData, stats);
+  const residuals = canShade && state.pivotShading === 'residuals' && stats ? stats.residualMap : null;
+  if (residuals) {
+    renderResidualLegend();
+  }
 
   // Build table HTML
-  let html = '<thead><tr><th></th>';
+  let html = '<thead>';
   
-  // Column headers
-  pivotData.colValues.forEach((colVal) => {
-    html += `<th>${escapeHtml(colVal)}</th>`;
+  // Column headers, one header row per column level
+  headerRows.forEach((cells, level) => {
+    html += '<tr>';
+    if (level === 0) {
+      html += `<th rowspan="${headerRows.length}"></th>`;
+    }
+    cells.forEach((cell) => {
+      const span = `colspan="${cell.colspan}" rowspan="${cell.rowspan}"`;
+      if (cell.kind === 'subtotal') {
+        html += `<th ${span} class="pivot-subtotal-header">${escapeHtml(cell.node.value)} Total</th>`;
+      } else {
+        html += `<th ${span}>${renderPivotToggle('col', cell.node, cell.isGroup, cell.isCollapsed)}${escapeHtml(cell.node.value)}</th>`;
+      }
+    });
+    if (level === 0) {
+      html += `<th rowspan="${headerRows.length}" class="pivot-total-header">Total</th>`;
+    }
+    html += '</tr>';
   });
-  html += '</tr></thead><tbody>';
+  html += '</thead><tbody>';
 
-  // Rows
-  pivotData.rowValues.forEach((rowVal) => {
-    html += `<tr><th>${escapeHtml(rowVal)}</th>`;
+  // Rows; group rows show the subtotals of their children
+  rowSlots.forEach((rowSlot, rowIndex) => {
+    const indent = rowSlot.depth > 0 ? ` style="padding-left: ${1 + rowSlot.depth * 1.5}rem"` : '';
+    const rowClass = rowSlot.isTotal ? 'pivot-total-row' : (rowSlot.isGroup ? 'pivot-group-row' : '');
+    html += `<tr${rowClass ? ` class="${rowClass}"` : ''}>`;
+    html += `<th${indent}>${renderPivotToggle('row', rowSlot, rowSlot.isGroup, rowSlot.isCollapsed)}${escapeHtml(rowSlot.value)}</th>`;
     
-    pivotData.colValues.forEach((colVal) => {
-      const key = `${rowVal}|||${colVal}`;
-      const entries = pivotData.pivotMap.get(key) || [];
+    colSlots.forEach((colSlot, colIndex) => {
+      const entries = getPivotCellRecords(pivotData, rowSlot.key, colSlot.key);
       const count = entries.length;
+      const cellClasses = [];
+      let cellStyle = '';
+      if (rowSlot.isTotal || colSlot.isTotal) {
+        cellClasses.push('total-cell');
+      } else if (rowSlot.isGroup || colSlot.isSubtotal) {
+        cellClasses.push('subtotal-cell');
+      }
       
-      if (count > 0) {
-        html += `<td><button class="cell-btn" data-row="${escapeHtml(rowVal)}" data-col="${escapeHtml(colVal)}">${count} entries</button></td>`;
+      if (count > 0 && pivotData.comparison) {
+        const cell = renderComparisonCell(pivotData, rowSlot.key, colSlot.key, mode);
+        cellClasses.push(...cell.classes);
+        html += `<td class="${cellClasses.join(' ')}"><button class="cell-btn comparison-btn" data-row-index="${rowIndex}" data-col-index="${colIndex}" title="${escapeHtml(cell.title)}">${cell.html}</button></td>`;
+      } else if (count > 0) {
+        const value = getPivotCellValue(pivotData, rowSlot.key, colSlot.key, mode);
+        const label = formatPivotCellValue(value, mode, pivotData.aggregation);
+        const title = pivotData.aggregation.type === 'list-distinct'
+          ? `${count} entries: ${value.join(', ')}`
+          : `${count} entries`;
+        if (heatmap && typeof value === 'number' && shadedRows.has(rowSlot) && shadedCols.has(colSlot)) {
+          const t = heatmap.position(value);
+          cellClasses.length = 0; // The shade replaces the subtotal background
+          cellClasses.push('heat-cell');
+          if (t > 0.6) cellClasses.push('heat-dark');
+          cellStyle = ` style="background-color: ${getHeatmapColor(t)}"`;
+        }
+        const residualShade = getResidualShade(residuals, rowSlot.key, colSlot.key);
+        if (residualShade) {
+          cellClasses.length = 0;
+          cellClasses.push(...residualShade.classes);
+          cellStyle = residualShade.style;
+        }
+        const cellClass = cellClasses.length > 0 ? ` class="${cellClasses.join(' ')}"` : '';
+        const residualTitle = residualShade ? `, adjusted residual ${formatResidual(residualShade.residual)}` : '';
+        html += `<td${cellClass}${cellStyle}><button class="cell-btn" data-row-index="${rowIndex}" data-col-index="${colIndex}" title="${escapeHtml(title + residualTitle)}">${escapeHtml(label)}</button></td>`;
       } else {
-        html += '<td class="empty-cell">—</td>';
+        const residualShade = getResidualShade(residuals, rowSlot.key, colSlot.key);
+        html += residualShade
+          ? `<td class="empty-cell ${residualShade.classes.join(' ')}"${residualShade.style} title="Adjusted residual ${formatResidual(residualShade.residual)}">—</td>`
+          : '<td class="empty-cell">—</td>';
       }
     });
     
@@ -667,20 +1278,91 @@ function renderPivotTable(pivotData, filteredCount, totalCount) {
   
   html += '</tbody>';
   table.innerHTML = html;
+  table.classList.toggle('pivot-nested', pivotData.rowFields.length > 1);
 
   // Add click handlers
   table.querySelectorAll('.cell-btn').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const rowKey = rowSlots[parseInt(btn.dataset.rowIndex)].key;
+      const colKey = colSlots[parseInt(btn.dataset.colIndex)].key;
+      openDatasheet(rowKey, colKey);
+    });
+  });
+
+  table.querySelectorAll('.pivot-toggle').forEach((btn) => {
     btn.addEventListener('click', (e) => {
-      const rowVal = e.target.dataset.row;
-      const colVal = e.target.dataset.col;
-      showReferenceModal(rowVal, colVal);
+      e.stopPropagation();
+      const axis = btn.dataset.axis;
+      const slots = axis === 'row' ? rowSlots : colSlots;
+      togglePivotGroup(axis, slots[parseInt(btn.dataset.index)].key);
     });
   });
+
+  renderPivotChart(pivotData);
+}
+
+function renderPivotToggle(axis, node, isGroup, isCollapsed) {
+  if (!isGroup) return '';
+  const slots = axis === 'row' ? state.pivotLayout.rowSlots : state.pivotLayout.colSlots;
+  const index = slots.findIndex(slot => slot.key === node.key);
+  const label = isCollapsed ? 'Expand' : 'Collapse';
+  return `<button class="pivot-toggle" data-axis="${axis}" data-index="${index}" title="${label}" aria-label="${label}">${isCollapsed ? '+' : '−'}</button>`;
+}
+
+function togglePivotGroup(axis, key) {
+  const collapsed = state.collapsedPivotKeys[axis];
+  if (collapsed.has(key)) {
+    collapsed.delete(key);
+  } else {
+    collapsed.add(key);
+  }
+  renderPivotTable(state.pivotData, state.filteredRecordsCache.length, state.records.length);
+}
+
+function getPivotRowSlots(node, collapsed, slots = []) {
+  node.children.forEach((child) => {
+    const isGroup = child.children.length > 0;
+    const isCollapsed = isGroup && collapsed.has(child.key);
+    slots.push({ key: child.key, value: child.value, depth: child.depth, isGroup, isCollapsed });
+    if (isGroup && !isCollapsed) {
+      getPivotRowSlots(child, collapsed, slots);
+    }
+  });
+  return slots;
+}
+
+function getPivotColumnLayout(colTree, collapsed, levels) {
+  const headerRows = Array.from({ length: levels }, () => []);
+  const slots = [];
+
+  function visit(node) {
+    const isGroup = node.children.length > 0;
+    const isCollapsed = isGroup && collapsed.has(node.key);
+    const cell = { kind: 'header', node, isGroup, isCollapsed, colspan: 1, rowspan: 1 };
+    headerRows[node.depth].push(cell);
+
+    if (isGroup && !isCollapsed) {
+      // Children, then a subtotal column spanning the remaining header rows
+      const firstSlot = slots.length;
+      node.children.forEach(visit);
+      cell.colspan = slots.length - firstSlot;
+      slots.push({ key: node.key, isSubtotal: true });
+      headerRows[node.depth].push({ kind: 'subtotal', node, colspan: 1, rowspan: levels - node.depth });
+    } else {
+      cell.rowspan = levels - node.depth;
+      slots.push({ key: node.key, isSubtotal: isGroup });
+    }
+  }
+
+  colTree.children.forEach(visit);
+  return { headerRows, slots };
 }
 
-function showReferenceModal(rowVal, colVal) {
-  const key = `${rowVal}|||${colVal}`;
-  const filteredRecords = state.pivotData.pivotMap.get(key) || [];
+// A null rowKey shows the records of a list opened with openRecordList
+function showReferenceModal(rowKey, colKey) {
+  const filteredRecords = rowKey === null
+    ? state.currentFilter.records
+    : getPivotCellRecords(state.pivotData, rowKey, colKey);
   
   // Extract Reference numbers
   const references = filteredRecords
@@ -693,7 +1375,9 @@ function showReferenceModal(rowVal, colVal) {
   const modalTitle = document.getElementById('reference-modal-title');
   const modalBody = document.getElementById('reference-modal-body');
   
-  modalTitle.textContent = `References: ${state.pivotData.rowField}=${rowVal}, ${state.pivotData.colField}=${colVal}`;
+  modalTitle.textContent = rowKey === null
+    ? `References: ${state.currentFilter.label}`
+    : `References: ${formatPivotPathText(state.pivotData.rowFields, rowKey)}, ${formatPivotPathText(state.pivotData.colFields, colKey)}`;
   
   if (references.length === 0) {
     modalBody.innerHTML = '<p class="no-references">No references found</p>';
@@ -702,13 +1386,24 @@ function showReferenceModal(rowVal, colVal) {
     modalBody.innerHTML = `
       <div class="reference-list">
         <p class="reference-count">${references.length} reference(s)</p>
-        <textarea id="reference-textarea" readonly rows="10">${referenceText}</textarea>
+        <textarea id="reference-textarea" readonly rows="10">${escapeHtml(referenceText)}</textarea>
         <button id="copy-references-btn" class="primary-btn">📋 Copy References</button>
       </div>
     `;
   }
+  if (filteredRecords.length > 0 && state.currentView !== 'datasheet') {
+    modalBody.innerHTML += '<button id="view-records-btn" class="secondary-btn">📄 View Records</button>';
+  }
   
   modal.classList.remove('hidden');
+
+  const viewBtn = document.getElementById('view-records-btn');
+  if (viewBtn) {
+    viewBtn.addEventListener('click', () => {
+      modal.classList.add('hidden');
+      openDatasheet(rowKey, colKey);
+    });
+  }
   
   // Add copy button handler
   const copyBtn = document.getElementById('copy-references-btn');
@@ -725,16 +1420,38 @@ function showReferenceModal(rowVal, colVal) {
   }
 }
 
+function openDatasheet(rowKey, colKey) {
+  showDatasheet({
+    rowKey,
+    colKey,
+    records: getPivotCellRecords(state.pivotData, rowKey, colKey),
+    comparison: state.pivotData.comparison || null,
+    label: null,
+    returnTo: 'pivot'
+  });
+}
+
+// Records from elsewhere than a pivot cell, e.g. a flagged problem in the field profile
+function openRecordList(records, label, returnTo) {
+  showDatasheet({ rowKey: null, colKey: null, records, comparison: null, label, returnTo });
+}
+
+function showDatasheet(filter) {
+  state.currentFilter = filter;
+  state.datasheetSort = { field: null, direction: 'asc' };
+  state.datasheetSearch = '';
+  document.getElementById('datasheet-search').value = '';
+  document.getElementById('back-to-pivot').textContent =
+    filter.returnTo === 'profile' ? '← Back to Field Profile' : '← Back to Pivot Table';
+
+  renderDatasheet(state.currentFilter.records);
+  showSection('datasheet');
+}
+
 function renderDatasheet(records) {
   const info = document.getElementById('datasheet-info');
   const header = document.getElementById('datasheet-header');
   const body = document.getElementById('datasheet-body');
-  
-  info.innerHTML = `
-    <strong>${state.pivotData.rowField}:</strong> ${escapeHtml(state.currentFilter.rowVal)} | 
-    <strong>${state.pivotData.colField}:</strong> ${escapeHtml(state.currentFilter.colVal)} | 
-    <strong>Records:</strong> ${records.length}
-  `;
 
   // Get column preferences or initialize
   if (!state.columnPreferences[state.database]) {
@@ -749,19 +1466,53 @@ function renderDatasheet(records) {
   }
 
   const prefs = state.columnPreferences[state.database];
-  const visibleFields = prefs.order.filter(f => prefs.visible[f]);
-  const hiddenFields = prefs.order.filter(f => !prefs.visible[f]);
+
+  // Fields that appeared since the preferences were saved go at the end, visible
+  const newFields = state.fields.filter(f => !prefs.order.includes(f));
+  if (newFields.length > 0) {
+    newFields.forEach(field => {
+      prefs.order.push(field);
+      prefs.visible[field] = true;
+    });
+    saveColumnPreferences();
+  }
+
+  const availableFields = prefs.order.filter(f => state.fields.includes(f));
+  const visibleFields = availableFields.filter(f => prefs.visible[f]);
+  const hiddenFields = availableFields.filter(f => !prefs.visible[f]);
+  const displayRecords = getDatasheetRecords(records, visibleFields);
+
+  let countInfo = displayRecords.length < records.length
+    ? `${displayRecords.length} of ${records.length} (matching "${escapeHtml(state.datasheetSearch)}")`
+    : `${records.length}`;
+  const { comparison } = state.currentFilter;
+  if (comparison) {
+    const countB = displayRecords.filter(record => comparison.recordSet.has(record)).length;
+    countInfo += ` (A ${displayRecords.length - countB}, B ${countB})`;
+  }
+
+  const { label } = state.currentFilter;
+  info.innerHTML = `
+    ${label ? `<strong>${escapeHtml(label)}</strong>` : `
+      ${formatPivotPathHtml(state.pivotData.rowFields, state.currentFilter.rowKey)} | 
+      ${formatPivotPathHtml(state.pivotData.colFields, state.currentFilter.colKey)}`} | 
+    <strong>Records:</strong> ${countInfo}
+  `;
 
   // Update hidden columns dropdown
   updateHiddenColumnsDropdown(hiddenFields);
 
-  // Render table header with X buttons and drag handles
+  // Render table header with X buttons and drag handles; comparison records
+  // start with the database they came from
   let headerHtml = '<tr>';
+  if (comparison) {
+    headerHtml += '<th class="comparison-side-header">Database</th>';
+  }
   visibleFields.forEach((field, index) => {
     headerHtml += `<th draggable="true" data-field="${escapeHtml(field)}" data-index="${index}" class="draggable-header">
       <div class="header-cell">
         <span class="drag-handle" title="Drag to reorder">⋮⋮</span>
-        <span class="header-label">${escapeHtml(field)}</span>
+        <span class="header-label sortable-label" data-field="${escapeHtml(field)}" title="Click to sort">${escapeHtml(field)}${getSortIndicator(field)}</span>
         <button class="hide-column-btn" data-field="${escapeHtml(field)}" title="Hide column">✕</button>
       </div>
     </th>`;
@@ -769,13 +1520,22 @@ function renderDatasheet(records) {
   headerHtml += '</tr>';
   header.innerHTML = headerHtml;
 
-  // Render table body
+  // Render table body; values of the loaded database can be edited
+  datasheetRecords = displayRecords;
   let bodyHtml = '';
-  records.forEach((record) => {
+  displayRecords.forEach((record, index) => {
+    const editable = !comparison || getRecordSide(comparison, record) === 'A';
     bodyHtml += '<tr>';
+    if (comparison) {
+      const side = getRecordSide(comparison, record);
+      const name = side === 'A' ? comparison.nameA : comparison.nameB;
+      bodyHtml += `<td class="comparison-side"><span class="comparison-${side.toLowerCase()}" title="${escapeHtml(name)}">${side}</span></td>`;
+    }
     visibleFields.forEach((field) => {
       const value = record[field] || '';
-      bodyHtml += `<td>${escapeHtml(value)}</td>`;
+      bodyHtml += editable && isEditableValue(record, field)
+        ? `<td class="editable-cell" data-index="${index}" data-field="${escapeHtml(field)}" title="Double-click to edit">${escapeHtml(value)}</td>`
+        : `<td>${escapeHtml(value)}</td>`;
     });
     bodyHtml += '</tr>';
   });
@@ -790,8 +1550,56 @@ function renderDatasheet(records) {
     });
   });
 
+  // Add sort handlers
+  header.querySelectorAll('.sortable-label').forEach((label) => {
+    label.addEventListener('click', () => {
+      toggleDatasheetSort(label.dataset.field);
+    });
+  });
+
   // Add drag and drop handlers
   attachDragAndDropHandlers();
+  renderEditBar();
+}
+
+function getDatasheetRecords(records, visibleFields) {
+  let result = records;
+
+  // Quick search across the visible columns
+  const search = state.datasheetSearch.trim().toLowerCase();
+  if (search) {
+    result = result.filter(record =>
+      visibleFields.some(field => String(record[field] || '').toLowerCase().includes(search))
+    );
+  }
+
+  const { field, direction } = state.datasheetSort;
+  if (field) {
+    const factor = direction === 'desc' ? -1 : 1;
+    result = [...result].sort((a, b) =>
+      factor * naturalSort(String(a[field] || ''), String(b[field] || ''))
+    );
+  }
+
+  return result;
+}
+
+function getSortIndicator(field) {
+  if (state.datasheetSort.field !== field) return '';
+  return `<span class="sort-indicator">${state.datasheetSort.direction === 'desc' ? '▼' : '▲'}</span>`;
+}
+
+function toggleDatasheetSort(field) {
+  const sort = state.datasheetSort;
+  // Cycle: ascending -> descending -> unsorted
+  if (sort.field !== field) {
+    state.datasheetSort = { field, direction: 'asc' };
+  } else if (sort.direction === 'asc') {
+    state.datasheetSort = { field, direction: 'desc' };
+  } else {
+    state.datasheetSort = { field: null, direction: 'asc' };
+  }
+  renderDatasheet(state.currentFilter.records);
 }
 
 function hideColumn(field) {
@@ -916,170 +1724,3175 @@ function loadColumnPreferences() {
   }
 }
 
-// ===== UI Helper Functions =====
-function showSection(sectionName) {
-  const sections = ['upload', 'config', 'pivot'];
-  sections.forEach((section) => {
-    const el = document.getElementById(`${section}-section`);
-    if (el) {
-      if (section === sectionName) {
-        el.classList.remove('hidden');
-      } else {
-        el.classList.add('hidden');
-      }
+// ===== Datasheet Editing =====
+// Double-clicking a cell edits the record's value in place. Edits go to the
+// change log, can be undone last-first, and are saved by rewriting the XML
+// file the database was loaded from (see saveEditedXML in core.js).
+let datasheetRecords = []; // Records in the order the datasheet shows them
+let nextEditBatch = 1;
+
+// Derived fields are computed and the values of a multi-valued field are
+// joined, so neither can be written back
+function isEditableValue(record, field) {
+  return state.baseFields.includes(field) &&
+    !(state.fieldStructure.multiValuedFields[field] && (record[field] || '').includes(MULTI_VALUE_SEPARATOR));
+}
+
+function startCellEdit(cell) {
+  if (cell.querySelector('.cell-editor')) return;
+  const record = datasheetRecords[Number(cell.dataset.index)];
+  const { field } = cell.dataset;
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'cell-editor';
+  input.value = record[field] || '';
+  input.setAttribute('aria-label', `${field} value`);
+  cell.textContent = '';
+  cell.appendChild(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  const finish = (commit) => {
+    if (done) return;
+    done = true;
+    if (commit && input.value.trim() !== (record[field] || '')) {
+      editRecordValue(record, field, input.value.trim());
+    } else {
+      renderDatasheet(state.currentFilter.records);
+    }
+  };
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      finish(true);
+    } else if (e.key === 'Escape') {
+      finish(false);
     }
   });
-  state.currentView = sectionName;
+  input.addEventListener('blur', () => finish(true));
 }
 
-function populateFieldSelects() {
-  const rowSelect = document.getElementById('row-field');
-  const colSelect = document.getElementById('col-field');
-  
-  rowSelect.innerHTML = '<option value="">-- Select Field --</option>';
-  colSelect.innerHTML = '<option value="">-- Select Field --</option>';
-  
-  state.fields.forEach((field) => {
-    rowSelect.innerHTML += `<option value="${escapeHtml(field)}">${escapeHtml(field)}</option>`;
-    colSelect.innerHTML += `<option value="${escapeHtml(field)}">${escapeHtml(field)}</option>`;
-  });
+async function editRecordValue(record, field, value) {
+  await applyEdits([{ record, field, value }]);
 }
 
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+// changes: [{ record, field, value }]. Edits made together, e.g. by one find
+// and replace, share a batch and are undone together.
+async function applyEdits(changes) {
+  const batch = nextEditBatch++;
+  const positions = new Map(state.records.map((record, index) => [record, index]));
+  const writes = changes.map(({ record, field, value }) => {
+    const index = positions.get(record);
+    state.editLog.push({
+      index,
+      field,
+      before: record[field] !== undefined ? record[field] : null,
+      after: value,
+      reference: record[REFERENCE_FIELD] || '',
+      batch
+    });
+    return { index, field, value };
+  });
+  await writeRecordValues(writes);
 }
 
-// ===== Event Handlers =====
-async function handleFileSelect(event) {
-  const file = event.target.files[0];
-  if (!file) return;
+async function undoLastEdit() {
+  const log = state.editLog;
+  if (log.length === 0) return;
+  const { batch } = log[log.length - 1];
+  const undone = [];
+  while (log.length > 0 && log[log.length - 1].batch === batch) {
+    undone.push(log.pop());
+  }
+  if (state.savedEditCount > log.length) {
+    // The saved file has these edits; saving again writes their undoing
+    state.savedEditCount = -1;
+  }
+  await writeRecordValues(undone.map(({ index, field, before }) => ({ index, field, value: before })));
+}
 
+// changes: [{ index, field, value }]; a null value removes the field, for
+// undoing a value added to a record without it
+async function writeRecordValues(changes) {
+  changes.forEach(({ index, field, value }) => {
+    if (value === null) {
+      delete state.records[index][field];
+    } else {
+      state.records[index][field] = value;
+    }
+  });
+  // In fallback mode the core shares these records, which is harmless
   try {
-    // Show loading state
-    const fileInfo = document.getElementById('file-info');
-    fileInfo.innerHTML = '<p>Loading database...</p>';
-    fileInfo.classList.remove('hidden');
+    await callCore('edit', { changes }).promise;
+  } catch (error) {
+    // The core's copy would miss the edit, and pivots and filters with it;
+    // all records are sent again to bring it up to date
+    notifyCore('set-records', { records: state.records });
+    showNotice(`The edit could not be passed to background processing (${error.message}). The records were sent to it again.`, 'error');
+    console.error('Error passing edits to the core:', error);
+  }
 
-    // Parse XML
-    const xmlDoc = await parseXMLFile(file);
-    const { records, fields } = extractDataFromXML(xmlDoc);
+  state.fieldValuesCache = {};
+  state.filteredRecordsCache = null;
+  if (state.derivedFields.length > 0) {
+    try {
+      await applyDerivedFields(state.derivedFields);
+    } catch (error) {
+      showNotice(`Could not compute the derived fields: ${error.message}`, 'error');
+      console.error('Error deriving fields:', error);
+    }
+  }
+  if (state.currentView === 'datasheet') {
+    renderDatasheet(state.currentFilter.records);
+  }
+  renderEditBar();
+  if (state.pivotData) {
+    refreshPivotWithFilters();
+  }
+}
 
-    if (records.length === 0) {
-      fileInfo.innerHTML = '<p class="error">No records found in database.</p>';
-      return;
+function hasUnsavedEdits() {
+  return state.editLog.length !== state.savedEditCount;
+}
+
+function confirmDiscardEdits() {
+  return !hasUnsavedEdits() || confirm('The edits made in the datasheet have not been saved. Discard them?');
+}
+
+// One change per record and field, from its first value to its last; edits
+// that were changed back are left out
+function getNetEdits() {
+  const edits = new Map();
+  state.editLog.forEach(({ index, field, before, after }) => {
+    const key = `${index}|${field}`;
+    if (edits.has(key)) {
+      edits.get(key).after = after;
+    } else {
+      edits.set(key, { index, field, before: before || '', after });
     }
+  });
+  return Array.from(edits.values()).filter(edit => edit.before !== edit.after);
+}
 
-    // Update state
-    state.database = file.name;
-    state.records = records;
-    state.fields = fields;
+// The datasheet and the find and replace section each have an edit bar
+function renderEditBar() {
+  const count = state.editLog.length;
+  let status = 'No edits yet.';
+  if (count > 0) {
+    const changed = getNetEdits().length;
+    status = `${count} edit${count === 1 ? '' : 's'}, ${changed} value${changed === 1 ? '' : 's'} changed` +
+      (hasUnsavedEdits() ? ' (not saved)' : ' (saved)');
+  }
+  document.querySelectorAll('.edit-status').forEach((element) => {
+    element.textContent = status;
+  });
+  document.querySelectorAll('.undo-edit-btn, .save-xml-btn').forEach((button) => {
+    button.disabled = count === 0;
+  });
 
-    // Show file info
-    fileInfo.innerHTML = `
-      <p class="success">✓ Loaded: <strong>${escapeHtml(file.name)}</strong></p>
-      <p>${records.length} records, ${fields.length} fields</p>
-    `;
-    document.getElementById('file-label-text').textContent = file.name;
+  document.getElementById('edit-log').classList.toggle('hidden', count === 0);
+  document.getElementById('edit-log-list').innerHTML = state.editLog.map(({ field, before, after, reference }) => `
+    <li>
+      ${reference ? `<strong>${escapeHtml(reference)}</strong> ` : ''}${escapeHtml(field)}:
+      <span class="edit-before">${escapeHtml(before || '(empty)')}</span> →
+      <span class="edit-after">${escapeHtml(after || '(empty)')}</span>
+    </li>
+  `).join('');
+}
 
-    // Populate field selects
-    populateFieldSelects();
+// A database opened from browser storage has no file to save into, so the
+// user is asked for the original one; it must match the loaded records
+async function saveEditedDatabase(source = state.source) {
+  const edits = getNetEdits();
+  if (edits.length === 0) {
+    showNotice('No values differ from the loaded file, so there is nothing to save.', 'info');
+    return;
+  }
+  if (!source) {
+    showNotice(`Choose the original XML file of ${state.database} to save the edits into.`, 'info');
+    document.getElementById('save-source-input').click();
+    return;
+  }
 
-    // Show config section
-    showSection('config');
+  const buttons = document.querySelectorAll('.save-xml-btn');
+  buttons.forEach((button) => {
+    button.disabled = true;
+  });
+  try {
+    const blob = await callCore('save-xml', {
+      blob: source.blob,
+      encoding: source.encoding,
+      edits,
+      recordCount: state.records.length
+    }).promise;
+    state.source = source;
+    downloadBlob(blob, `${getExportBaseName('edited')}.xml`);
+    state.savedEditCount = state.editLog.length;
+    showNotice(`Saved ${edits.length} changed value${edits.length === 1 ? '' : 's'} as UTF-16 XML.`, 'success');
   } catch (error) {
-    const fileInfo = document.getElementById('file-info');
-    fileInfo.innerHTML = `<p class="error">Error loading database: ${escapeHtml(error.message)}</p>`;
-    fileInfo.classList.remove('hidden');
-    console.error('Error parsing XML:', error);
+    showNotice(`Could not save the edits: ${error.message}`, 'error');
+    console.error('Error saving edits:', error);
+  } finally {
+    renderEditBar();
   }
 }
 
-function handleFieldChange() {
-  const rowField = document.getElementById('row-field').value;
-  const colField = document.getElementById('col-field').value;
-  const generateBtn = document.getElementById('generate-btn');
-  
-  if (rowField && colField && rowField !== colField) {
-    generateBtn.disabled = false;
-  } else {
-    generateBtn.disabled = true;
+// ===== Find and Replace =====
+// Changes one field of many records at once, e.g. a wrong tone mark on every
+// entry of a class. The preview lists every record that would change;
+// replacing adds the changes to the change log as one batch, so that Undo
+// reverts all of them and Save XML writes them out.
+let replacePreview = null; // { field, changes, skipped, searched, onlyFiltered }
+
+function openFindReplace() {
+  const select = document.getElementById('replace-field');
+  const current = select.value;
+  select.innerHTML = state.baseFields
+    .map(field => `<option value="${escapeHtml(field)}">${escapeHtml(field)}</option>`)
+    .join('');
+  if (state.baseFields.includes(current)) {
+    select.value = current;
   }
-}
 
-function handleGeneratePivot() {
-  const rowField = document.getElementById('row-field').value;
-  const colField = document.getElementById('col-field').value;
-  
-  if (!rowField || !colField) return;
+  const filterCount = state.filterGroups.length;
+  const filtered = document.getElementById('replace-filtered');
+  filtered.disabled = filterCount === 0;
+  if (filterCount === 0) filtered.checked = false;
+  document.getElementById('replace-filtered-label').textContent = filterCount === 0
+    ? 'Only records matching the filters (no filters set)'
+    : `Only records matching the filters (${filterCount} group${filterCount === 1 ? '' : 's'})`;
 
-  state.pivotConfig.rowField = rowField;
-  state.pivotConfig.colField = colField;
-  
-  // Apply filters before generating pivot table
-  const filteredRecords = applyFilters(state.records);
-  state.filteredRecordsCache = filteredRecords; // Cache for refresh
-  
-  state.pivotData = generatePivotTable(filteredRecords, rowField, colField);
-  renderPivotTable(state.pivotData, filteredRecords.length, state.records.length);
-  showSection('pivot');
+  replacePreview = null;
+  renderReplacePreview();
+  renderEditBar();
+  showSection('replace');
 }
 
-// ===== Initialization =====
-function init() {
-  // Register service worker
-  registerServiceWorker();
+function previewReplacement() {
+  const field = document.getElementById('replace-field').value;
+  let replace;
+  try {
+    replace = createReplacer({
+      find: document.getElementById('replace-find').value,
+      replacement: document.getElementById('replace-with').value,
+      regex: document.getElementById('replace-mode').value === 'regex',
+      ignoreCase: document.getElementById('replace-ignore-case').checked
+    });
+  } catch (error) {
+    showNotice(`Cannot search: ${error.message}`, 'error');
+    return;
+  }
 
-  // Load saved preferences
-  loadColumnPreferences();
+  const onlyFiltered = document.getElementById('replace-filtered').checked;
+  const records = onlyFiltered ? filterRecords(state.records, state.filterGroups) : state.records;
+  const changes = findReplacements(records, field, replace);
+  const editable = changes.filter(change => isEditableValue(change.record, field));
+  replacePreview = {
+    field,
+    changes: editable,
+    skipped: changes.length - editable.length,
+    searched: records.length,
+    onlyFiltered
+  };
+  renderReplacePreview();
+}
 
-  // Set up online/offline indicators
-  updateOnlineStatus();
-  window.addEventListener('online', updateOnlineStatus);
-  window.addEventListener('offline', updateOnlineStatus);
+function renderReplacePreview() {
+  const info = document.getElementById('replace-info');
+  const body = document.getElementById('replace-body');
+  const limitNote = document.getElementById('replace-limit-note');
+  const applyButton = document.getElementById('apply-replace-btn');
+  const preview = replacePreview;
 
-  // File input
-  document.getElementById('file-input').addEventListener('change', handleFileSelect);
+  info.classList.toggle('hidden', !preview);
+  applyButton.disabled = !preview || preview.changes.length === 0;
+  applyButton.textContent = preview && preview.changes.length > 0
+    ? `Replace in ${preview.changes.length} record${preview.changes.length === 1 ? '' : 's'}`
+    : 'Replace';
+  if (!preview) {
+    body.innerHTML = '';
+    limitNote.classList.add('hidden');
+    return;
+  }
 
-  // Field selects
-  document.getElementById('row-field').addEventListener('change', handleFieldChange);
-  document.getElementById('col-field').addEventListener('change', handleFieldChange);
+  const skippedNote = preview.skipped > 0
+    ? `<p class="warning">⚠ ${preview.skipped} record(s) with several ${escapeHtml(preview.field)} elements are left out; their values can't be saved.</p>`
+    : '';
+  info.innerHTML = `
+    <strong>Field:</strong> ${escapeHtml(preview.field)} |
+    <strong>Searched:</strong> ${preview.searched} record(s)${preview.onlyFiltered ? ' matching the filters' : ''} |
+    <strong>To change:</strong> ${preview.changes.length}
+    ${skippedNote}
+  `;
 
-  // Generate button
-  document.getElementById('generate-btn').addEventListener('click', handleGeneratePivot);
+  const highlight = (parts, side) => parts
+    .map(part => (part.text !== undefined
+      ? escapeHtml(part.text)
+      : `<mark class="replace-${side}">${escapeHtml(part[side])}</mark>`))
+    .join('');
+  const shown = preview.changes.slice(0, DIFF_DISPLAY_LIMIT);
+  body.innerHTML = shown.length === 0
+    ? '<tr><td colspan="3" class="no-views">No values match.</td></tr>'
+    : shown.map(({ record, parts }) => `
+      <tr>
+        <td class="diff-key">${escapeHtml(record[REFERENCE_FIELD] || '')}</td>
+        <td class="diff-before">${highlight(parts, 'before')}</td>
+        <td class="diff-after">${highlight(parts, 'after')}</td>
+      </tr>
+    `).join('');
 
-  // Filter buttons
-  document.getElementById('add-filter-group-btn').addEventListener('click', () => {
-    createFilterGroup();
-    renderFilterGroups();
-  });
+  limitNote.textContent = preview.changes.length > DIFF_DISPLAY_LIMIT
+    ? `Showing the first ${DIFF_DISPLAY_LIMIT} of ${preview.changes.length} records; all of them are changed.`
+    : '';
+  limitNote.classList.toggle('hidden', preview.changes.length <= DIFF_DISPLAY_LIMIT);
+}
 
-  document.getElementById('clear-filters-btn').addEventListener('click', () => {
-    if (confirm('Clear all filters?')) {
-      clearAllFilters();
-    }
-  });
+async function applyReplacement() {
+  if (!replacePreview) return;
+  const { field } = replacePreview;
+  // Values edited since the preview are left alone
+  const changes = replacePreview.changes.filter(({ record, before }) => (record[field] || '') === before);
+  replacePreview = null;
+  renderReplacePreview();
+  if (changes.length === 0) return;
 
-  document.getElementById('regex-help-btn').addEventListener('click', () => {
-    document.getElementById('regex-modal').classList.remove('hidden');
-  });
+  await applyEdits(changes.map(({ record, after }) => ({ record, field, value: after })));
+  showNotice(
+    `Replaced the ${field} value of ${changes.length} record${changes.length === 1 ? '' : 's'}. Save XML to write the modified file.`,
+    'success'
+  );
+}
 
-  document.getElementById('close-regex-modal').addEventListener('click', () => {
-    document.getElementById('regex-modal').classList.add('hidden');
-  });
+// ===== Heatmap Shading =====
+const HEATMAP_SCALES = {
+  'none': 'None',
+  'linear': 'Heatmap (linear)',
+  'log': 'Heatmap (log)',
+  'residuals': 'Adjusted residuals'
+};
 
-  // Close modal when clicking outside
-  document.getElementById('regex-modal').addEventListener('click', (e) => {
-    if (e.target.id === 'regex-modal') {
-      document.getElementById('regex-modal').classList.add('hidden');
-    }
-  });
+// Sequential blues, from lightest to darkest
+const HEATMAP_COLORS = [[247, 251, 255], [198, 219, 239], [107, 174, 214], [33, 113, 181], [8, 48, 107]];
 
-  // Reference modal close button
-  document.getElementById('close-reference-modal').addEventListener('click', () => {
-    document.getElementById('reference-modal').classList.add('hidden');
-  });
+// The finest cells shown: leaf rows/columns and collapsed groups, without
+// subtotals of expanded groups and without totals
+function getVisibleLeafSlots(slots) {
+  const keys = slots.filter(slot => !slot.isTotal).map(slot => slot.key);
+  return slots.filter(slot =>
+    !slot.isTotal && !keys.some(key => key.startsWith(`${slot.key}${PIVOT_PATH_SEPARATOR}`))
+  );
+}
+
+function isNumericAggregation(aggregation) {
+  return !['list-distinct', 'first'].includes(aggregation.type);
+}
+
+// Maps the values to positions 0..1; counts and percentages start from 0
+function createHeatmapScale(values, scale) {
+  const numbers = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+  if (numbers.length === 0) return null;
+
+  const low = numbers.reduce((min, value) => Math.min(min, value), 0);
+  const high = numbers.reduce((max, value) => Math.max(max, value), low);
+  const span = high - low;
+  const position = (value) => {
+    if (span === 0) return 1;
+    return scale === 'log' ? Math.log1p(value - low) / Math.log1p(span) : (value - low) / span;
+  };
+  const valueAt = t => (scale === 'log' ? low + Math.expm1(t * Math.log1p(span)) : low + t * span);
+  return { low, high, position, valueAt };
+}
+
+function getHeatmapColor(t) {
+  const scaled = Math.max(0, Math.min(1, t)) * (HEATMAP_COLORS.length - 1);
+  const index = Math.min(Math.floor(scaled), HEATMAP_COLORS.length - 2);
+  const fraction = scaled - index;
+  const [r, g, b] = HEATMAP_COLORS[index].map((channel, i) =>
+    Math.round(channel + (HEATMAP_COLORS[index + 1][i] - channel) * fraction)
+  );
+  return `rgb(${r}, ${g}, ${b})`;
+}
+
+function renderHeatmapLegend(heatmap, mode) {
+  const legend = document.getElementById('heatmap-legend');
+  if (!heatmap) {
+    legend.classList.add('hidden');
+    return;
+  }
+
+  const suffix = mode === 'count' ? '' : '%';
+  const label = t => `${formatNumber(heatmap.valueAt(t))}${suffix}`;
+  const stops = HEATMAP_COLORS.map((_, i) => getHeatmapColor(i / (HEATMAP_COLORS.length - 1))).join(', ');
+  legend.innerHTML = `
+    <span>${escapeHtml(label(0))}</span>
+    <span class="heatmap-gradient" style="background: linear-gradient(to right, ${stops})"></span>
+    <span>${escapeHtml(label(1))}</span>
+    <span class="heatmap-legend-note">${state.pivotShading === 'log' ? `log scale, middle ≈ ${escapeHtml(label(0.5))}` : 'linear scale'}</span>
+  `;
+  legend.classList.remove('hidden');
+}
+
+// ===== Charts =====
+// Drawn as SVG from pivotData and the current layout (collapsed groups are
+// one category), so they work offline and export without libraries.
+const CHART_TYPES = {
+  'none': 'None',
+  'stacked-bar': 'Stacked bars',
+  'grouped-bar': 'Grouped bars',
+  'mosaic': 'Mosaic plot'
+};
+
+const CHART_COLORS = [
+  '#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f',
+  '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'
+];
+
+const CHART_WIDTH = 760;
+const CHART_FONT = 'font-family="-apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif" font-size="12"';
+
+let currentChartSvg = null;
+
+function getChartData(pivotData, mode) {
+  const pathLabel = key => key.split(PIVOT_PATH_SEPARATOR).join(' > ');
+  const rows = getVisibleLeafSlots(state.pivotLayout.rowSlots).map(slot => ({ key: slot.key, label: pathLabel(slot.key) }));
+  const cols = getVisibleLeafSlots(state.pivotLayout.colSlots).map(slot => ({ key: slot.key, label: pathLabel(slot.key) }));
+
+  const counts = rows.map(row => cols.map(col => getPivotCellRecords(pivotData, row.key, col.key).length));
+  const values = rows.map((row, i) => cols.map((col, j) => {
+    if (counts[i][j] === 0) return 0;
+    const value = getPivotCellValue(pivotData, row.key, col.key, mode);
+    return typeof value === 'number' && value > 0 ? value : 0;
+  }));
+  return { rows, cols, counts, values };
+}
+
+function truncateLabel(text, maxChars) {
+  return text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text;
+}
+
+// Round tick steps (1, 2, 5 × 10^n) from 0 to at least max
+function getChartTicks(max, count = 5) {
+  if (max <= 0) return [0, 1];
+  const rough = max / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const step = [1, 2, 5, 10].map(f => f * magnitude).find(candidate => candidate >= rough);
+  const ticks = [];
+  for (let tick = 0; tick < max + step / 2; tick += step) {
+    ticks.push(Number(tick.toPrecision(12)));
+  }
+  if (ticks[ticks.length - 1] < max) ticks.push(Number((ticks[ticks.length - 1] + step).toPrecision(12)));
+  return ticks;
+}
+
+// Color keys for the column categories; returns { svg, height }
+function renderChartLegend(cols, top) {
+  let x = 20;
+  let y = top;
+  let svg = '';
+  cols.forEach((col, i) => {
+    const label = truncateLabel(col.label, 24);
+    const itemWidth = 22 + label.length * 7 + 16;
+    if (x + itemWidth > CHART_WIDTH - 20 && x > 20) {
+      x = 20;
+      y += 20;
+    }
+    svg += `<rect x="${x}" y="${y}" width="12" height="12" fill="${CHART_COLORS[i % CHART_COLORS.length]}"/>`;
+    svg += `<text x="${x + 18}" y="${y + 10}">${escapeXml(label)}<title>${escapeXml(col.label)}</title></text>`;
+    x += itemWidth;
+  });
+  return { svg, height: y - top + 28 };
+}
+
+function wrapChartSvg(width, height, title, body) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" ${CHART_FONT}>` +
+    `<rect width="${width}" height="${height}" fill="white"/>` +
+    `<text x="20" y="24" font-size="15" font-weight="bold" fill="#2c3e50">${escapeXml(title)}</text>` +
+    body +
+    '</svg>';
+}
+
+// Horizontal bars, one bar (stacked) or one bar per column (grouped) per row category
+function buildBarChartSvg(data, stacked, title, valueLabel) {
+  const { rows, cols, values } = data;
+  const legend = renderChartLegend(cols, 40);
+  const labelChars = Math.min(30, Math.max(...rows.map(row => row.label.length), 4));
+  const plotLeft = 30 + labelChars * 7;
+  const plotWidth = CHART_WIDTH - plotLeft - 30;
+  const barHeight = stacked ? 20 : Math.max(4, Math.min(14, Math.floor(48 / cols.length)));
+  const rowHeight = (stacked ? barHeight : barHeight * cols.length) + 10;
+  const plotTop = 40 + legend.height + 24;
+  const plotHeight = rows.length * rowHeight;
+
+  const max = stacked
+    ? Math.max(...values.map(row => row.reduce((sum, value) => sum + value, 0)))
+    : Math.max(...values.map(row => Math.max(...row)));
+  const ticks = getChartTicks(max);
+  const scaleMax = ticks[ticks.length - 1];
+  const x = value => plotLeft + (value / scaleMax) * plotWidth;
+
+  let body = legend.svg;
+  body += `<text x="${plotLeft + plotWidth / 2}" y="${plotTop - 22}" text-anchor="middle" fill="#7f8c8d">${escapeXml(valueLabel)}</text>`;
+  ticks.forEach((tick) => {
+    body += `<line x1="${x(tick)}" y1="${plotTop}" x2="${x(tick)}" y2="${plotTop + plotHeight}" stroke="#ecf0f1"/>`;
+    body += `<text x="${x(tick)}" y="${plotTop - 6}" text-anchor="middle" fill="#7f8c8d">${tick}</text>`;
+  });
+
+  rows.forEach((row, i) => {
+    const top = plotTop + i * rowHeight + 5;
+    body += `<text x="${plotLeft - 8}" y="${top + (rowHeight - 10) / 2 + 4}" text-anchor="end">` +
+      `${escapeXml(truncateLabel(row.label, 30))}<title>${escapeXml(row.label)}</title></text>`;
+
+    let offset = 0;
+    cols.forEach((col, j) => {
+      const value = values[i][j];
+      if (value <= 0) return;
+      const barX = stacked ? x(offset) : plotLeft;
+      const barY = stacked ? top : top + j * barHeight;
+      const width = x(stacked ? offset + value : value) - barX;
+      body += `<rect x="${barX}" y="${barY}" width="${Math.max(width, 0.5)}" height="${barHeight - (stacked ? 0 : 1)}" ` +
+        `fill="${CHART_COLORS[j % CHART_COLORS.length]}"><title>${escapeXml(`${row.label} · ${col.label}: ${formatNumber(value)}`)}</title></rect>`;
+      offset += value;
+    });
+  });
+
+  body += `<line x1="${plotLeft}" y1="${plotTop}" x2="${plotLeft}" y2="${plotTop + plotHeight}" stroke="#7f8c8d"/>`;
+  const height = plotTop + plotHeight + 20;
+  return { svg: wrapChartSvg(CHART_WIDTH, height, title, body), width: CHART_WIDTH, height };
+}
+
+// Column widths show the row totals, segment heights the share of each
+// column category within the row; always based on record counts
+function buildMosaicSvg(data, title) {
+  const { rows, cols, counts } = data;
+  const legend = renderChartLegend(cols, 40);
+  const rowTotals = counts.map(row => row.reduce((sum, count) => sum + count, 0));
+  const total = rowTotals.reduce((sum, count) => sum + count, 0);
+  const plotLeft = 20;
+  const plotTop = 40 + legend.height + 8;
+  const plotHeight = 360;
+  const gap = 2;
+  const plotWidth = CHART_WIDTH - plotLeft - 20 - gap * (rows.length - 1);
+
+  let body = legend.svg;
+  let x = plotLeft;
+  rows.forEach((row, i) => {
+    if (rowTotals[i] === 0) return;
+    const width = (rowTotals[i] / total) * plotWidth;
+    let y = plotTop;
+    cols.forEach((col, j) => {
+      const count = counts[i][j];
+      if (count === 0) return;
+      const height = (count / rowTotals[i]) * plotHeight;
+      const percent = formatNumber((count / rowTotals[i]) * 100);
+      body += `<rect x="${x}" y="${y}" width="${width}" height="${Math.max(height - 1, 0.5)}" ` +
+        `fill="${CHART_COLORS[j % CHART_COLORS.length]}"><title>${escapeXml(`${row.label} · ${col.label}: ${count} (${percent}% of row)`)}</title></rect>`;
+      y += height;
+    });
+
+    // Labels below the columns, slanted so that narrow columns still get one
+    const labelX = x + width / 2;
+    const labelY = plotTop + plotHeight + 14;
+    body += `<text x="${labelX}" y="${labelY}" text-anchor="end" transform="rotate(-40 ${labelX} ${labelY})">` +
+      `${escapeXml(truncateLabel(row.label, 24))}<title>${escapeXml(`${row.label}: ${rowTotals[i]} records`)}</title></text>`;
+    x += width + gap;
+  });
+
+  const maxLabel = Math.min(24, Math.max(...rows.map(row => row.label.length), 1));
+  const height = plotTop + plotHeight + 20 + Math.ceil(maxLabel * 7 * Math.sin(40 * Math.PI / 180));
+  return { svg: wrapChartSvg(CHART_WIDTH, height, title, body), width: CHART_WIDTH, height };
+}
+
+function buildPivotChart(pivotData, type) {
+  const mode = getPivotDisplayMode(pivotData);
+  const data = getChartData(pivotData, mode);
+  const title = `${pivotData.rowField} × ${pivotData.colField}`;
+
+  if (type === 'mosaic') {
+    return buildMosaicSvg(data, title);
+  }
+  const valueLabel = pivotData.aggregation.type === 'count'
+    ? PIVOT_DISPLAY_MODES[mode]
+    : describeAggregation(pivotData.aggregation);
+  return buildBarChartSvg(data, type === 'stacked-bar', title, valueLabel);
+}
+
+function renderPivotChart(pivotData) {
+  const wrapper = document.getElementById('pivot-chart-wrapper');
+  const container = document.getElementById('pivot-chart');
+  const type = state.pivotChartType;
+  currentChartSvg = null;
+
+  if (type === 'none') {
+    wrapper.classList.add('hidden');
+    return;
+  }
+  wrapper.classList.remove('hidden');
+
+  if (pivotData.comparison) {
+    container.innerHTML = '<p class="no-views">Charts show one database. Remove database B on the configuration screen to draw one.</p>';
+    return;
+  }
+  if (type !== 'mosaic' && !isNumericAggregation(pivotData.aggregation)) {
+    container.innerHTML = '<p class="no-views">Bar charts need a numeric cell value. Choose a count, min, max or mean, or a mosaic plot.</p>';
+    return;
+  }
+
+  currentChartSvg = buildPivotChart(pivotData, type);
+  container.innerHTML = currentChartSvg.svg;
+}
+
+function exportChartSvg() {
+  if (!currentChartSvg) return;
+  const blob = new Blob([`<?xml version="1.0" encoding="UTF-8"?>\n${currentChartSvg.svg}`], { type: 'image/svg+xml' });
+  downloadBlob(blob, `${getExportBaseName('chart')}.svg`);
+}
+
+// Draws the SVG on a canvas at twice the size for sharper prints
+async function exportChartPng() {
+  if (!currentChartSvg) return;
+  const { svg, width, height } = currentChartSvg;
+  const scale = 2;
+
+  try {
+    const image = new Image();
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    await image.decode();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob(result => (result ? resolve(result) : reject(new Error('The image could not be created.'))), 'image/png');
+    });
+    downloadBlob(blob, `${getExportBaseName('chart')}.png`);
+  } catch (error) {
+    showNotice(`Could not export the chart as PNG: ${error.message}`, 'error');
+    console.error('Error exporting chart:', error);
+  }
+}
+
+// ===== Association Statistics =====
+// Computed from the record counts of the leaf cells in pivotData.pivotMap,
+// whatever the cell value and display mode, and independent of collapsed groups
+const RESIDUAL_SHADING_LIMIT = 4; // |residual| with the darkest shade
+const RESIDUAL_SIGNIFICANT = 1.96; // Two-sided p < 0.05 for a single cell
+const RESIDUAL_NEGATIVE_COLOR = [33, 102, 172];
+const RESIDUAL_POSITIVE_COLOR = [178, 24, 43];
+
+function getPivotAssociationStats(pivotData) {
+  const { rowValues: rowKeys, colValues: colKeys } = pivotData;
+  const counts = rowKeys.map(rowKey => colKeys.map(colKey =>
+    (pivotData.pivotMap.get(`${rowKey}|||${colKey}`) || []).length
+  ));
+  const stats = computeAssociationStats(counts);
+  if (!stats) return null;
+
+  const residualMap = new Map();
+  rowKeys.forEach((rowKey, i) => {
+    colKeys.forEach((colKey, j) => {
+      residualMap.set(`${rowKey}|||${colKey}`, stats.residuals[i][j]);
+    });
+  });
+  return { ...stats, counts, rowKeys, colKeys, residualMap };
+}
+
+function formatPValue(pValue) {
+  return pValue < 0.001 ? '< 0.001' : `= ${pValue.toFixed(3)}`;
+}
+
+function formatResidual(residual) {
+  return `${residual > 0 ? '+' : (residual < 0 ? '−' : '')}${Math.abs(residual).toFixed(2)}`;
+}
+
+// White at 0, blue for fewer records than expected, red for more
+function getResidualColor(residual) {
+  const t = Math.min(Math.abs(residual) / RESIDUAL_SHADING_LIMIT, 1);
+  const target = residual < 0 ? RESIDUAL_NEGATIVE_COLOR : RESIDUAL_POSITIVE_COLOR;
+  const [r, g, b] = target.map(channel => Math.round(255 + (channel - 255) * t));
+  return { color: `rgb(${r}, ${g}, ${b})`, dark: t > 0.6 };
+}
+
+function getResidualShade(residualMap, rowKey, colKey) {
+  const key = `${rowKey}|||${colKey}`;
+  if (!residualMap || !residualMap.has(key)) return null;
+  const residual = residualMap.get(key);
+  const { color, dark } = getResidualColor(residual);
+  return {
+    residual,
+    classes: ['heat-cell', ...(dark ? ['heat-dark'] : [])],
+    style: ` style="background-color: ${color}"`
+  };
+}
+
+function renderResidualLegend() {
+  const legend = document.getElementById('heatmap-legend');
+  const stops = [-RESIDUAL_SHADING_LIMIT, 0, RESIDUAL_SHADING_LIMIT].map(value => getResidualColor(value).color).join(', ');
+  legend.innerHTML = `
+    <span>−${RESIDUAL_SHADING_LIMIT}</span>
+    <span class="heatmap-gradient" style="background: linear-gradient(to right, ${stops})"></span>
+    <span>+${RESIDUAL_SHADING_LIMIT}</span>
+    <span class="heatmap-legend-note">fewer / more records than expected; beyond ±${RESIDUAL_SIGNIFICANT} is significant at p &lt; 0.05</span>
+  `;
+  legend.classList.remove('hidden');
+}
+
+function renderPivotStats(pivotData, stats) {
+  const summary = document.getElementById('pivot-stats-summary');
+  const body = document.getElementById('pivot-stats-body');
+
+  if (pivotData.comparison) {
+    summary.textContent = '';
+    body.innerHTML = '<p class="no-views">Statistics describe one database. Remove database B to compute them.</p>';
+    return;
+  }
+  if (!stats) {
+    summary.textContent = '';
+    body.innerHTML = '<p class="no-views">The tests need at least two row values and two column values.</p>';
+    return;
+  }
+
+  const chiSquareText = `χ²(${stats.df}) = ${stats.chiSquare.toFixed(2)}, p ${formatPValue(stats.pValue)}`;
+  summary.textContent = `${chiSquareText}, V = ${stats.cramersV.toFixed(3)}`;
+
+  const warnings = [];
+  if (stats.expectedTooSmall) {
+    const { count, share, min } = stats.smallExpected;
+    warnings.push(`${count} of ${stats.expected.flat().length} expected counts (${Math.round(share * 100)}%) are below ${MIN_EXPECTED_COUNT},
+      the smallest is ${formatNumber(min)}. The chi-square p-value is unreliable${stats.fisherPValue !== null
+        ? '; use Fisher\'s exact test.'
+        : '; merge rare values (e.g. with value groups) or filter them out.'}`);
+  }
+  if (pivotData.splitRecordCount > 0) {
+    warnings.push(`${pivotData.splitRecordCount} record(s) are counted in more than one cell because of split values,
+      but the tests assume each record is counted once.`);
+  }
+  if (pivotData.aggregation.type !== 'count' || getPivotDisplayMode(pivotData) !== 'count') {
+    warnings.push('The tests use record counts, not the values shown in the cells.');
+  }
+
+  const label = key => key.split(PIVOT_PATH_SEPARATOR).join(' > ');
+  let table = `<tr><th></th>${stats.colKeys.map(key => `<th>${escapeHtml(label(key))}</th>`).join('')}</tr>`;
+  stats.rowKeys.forEach((rowKey, i) => {
+    table += `<tr><th>${escapeHtml(label(rowKey))}</th>`;
+    stats.colKeys.forEach((_, j) => {
+      const expected = stats.expected[i][j];
+      const residual = stats.residuals[i][j];
+      const classes = [
+        expected < MIN_EXPECTED_COUNT ? 'stats-small-expected' : '',
+        Math.abs(residual) > RESIDUAL_SIGNIFICANT ? 'stats-significant' : ''
+      ].filter(Boolean).join(' ');
+      table += `<td${classes ? ` class="${classes}"` : ''}>${stats.counts[i][j]} / ${formatNumber(expected)} / ${formatResidual(residual)}</td>`;
+    });
+    table += '</tr>';
+  });
+
+  body.innerHTML = `
+    <ul class="stats-results">
+      <li><strong>Chi-square test:</strong> ${escapeHtml(chiSquareText)} (N = ${stats.total})</li>
+      <li><strong>Cramér's V:</strong> ${stats.cramersV.toFixed(3)}</li>
+      ${stats.fisherPValue !== null ? `<li><strong>Fisher's exact test:</strong> p ${formatPValue(stats.fisherPValue)} (two-sided)</li>` : ''}
+    </ul>
+    ${warnings.map(warning => `<p class="warning">⚠ ${escapeHtml(warning)}</p>`).join('')}
+    <details class="stats-details">
+      <summary>Observed / expected counts / adjusted residuals</summary>
+      <p class="derived-help">Expected counts below ${MIN_EXPECTED_COUNT} are marked; residuals beyond ±${RESIDUAL_SIGNIFICANT} are bold.
+        Choose "Adjusted residuals" under Shading to color the table by them.</p>
+      <div class="table-wrapper"><table class="stats-table">${table}</table></div>
+    </details>
+  `;
+}
+
+// ===== Database Comparison =====
+// A second database (B), e.g. a newer export or a related language, loaded
+// next to the current one (A). Comparison pivots count the records of both
+// in the same rows and columns; drill-down tells them apart by recordSet.
+function getRecordSide(comparison, record) {
+  return comparison.recordSet.has(record) ? 'B' : 'A';
+}
+
+async function loadComparisonDatabase(file) {
+  const info = document.getElementById('comparison-info');
+  clearComparison();
+  info.innerHTML = `<p>Loading ${escapeHtml(file.name)}…</p>`;
+
+  const encoding = document.getElementById('encoding-select').value;
+  const request = callCore('load', { blob: file, encoding, target: 'comparison' }, ({ records }) => {
+    info.innerHTML = `<p>Loading ${escapeHtml(file.name)}… ${records.toLocaleString()} records</p>`;
+  });
+
+  try {
+    const result = await request.promise;
+    if (result.records.length === 0) {
+      notifyCore('set-comparison', { records: null });
+      info.innerHTML = `<p class="error">No records found in ${escapeHtml(file.name)}.</p>`;
+      return;
+    }
+
+    state.comparison = {
+      name: file.name,
+      records: result.records,
+      fields: result.fields,
+      encoding: result.encoding,
+      recordSet: new Set(result.records)
+    };
+    if (state.derivedFields.length > 0) {
+      await applyDerivedFields(state.derivedFields);
+    }
+  } catch (error) {
+    notifyCore('set-comparison', { records: null });
+    info.innerHTML = `<p class="error">Error loading ${escapeHtml(file.name)}: ${escapeHtml(error.message)}</p>`;
+    console.error('Error loading comparison database:', error);
+    return;
+  }
+
+  renderComparisonInfo();
+  if (state.pivotData) {
+    await refreshPivotWithFilters();
+  }
+}
+
+function clearComparison() {
+  state.comparison = null;
+  state.recordDiff = null;
+  notifyCore('set-comparison', { records: null });
+}
+
+async function removeComparison() {
+  clearComparison();
+  renderComparisonInfo();
+  if (state.pivotData && state.pivotData.comparison) {
+    await refreshPivotWithFilters();
+  }
+}
+
+function renderComparisonInfo() {
+  const info = document.getElementById('comparison-info');
+  const { comparison } = state;
+  document.getElementById('remove-comparison-btn').classList.toggle('hidden', !comparison);
+  document.getElementById('show-diff-btn').classList.toggle('hidden', !comparison);
+
+  if (!comparison) {
+    info.innerHTML = '<p class="no-views">No database B loaded.</p>';
+    return;
+  }
+
+  const onlyA = state.baseFields.filter(field => !comparison.fields.includes(field));
+  const onlyB = comparison.fields.filter(field => !state.baseFields.includes(field));
+  const fieldList = fields => fields.map(field => `<code>${escapeHtml(field)}</code>`).join(', ');
+  info.innerHTML = `
+    <p><span class="comparison-a">A</span> <strong>${escapeHtml(state.database)}</strong>: ${state.records.length} records</p>
+    <p><span class="comparison-b">B</span> <strong>${escapeHtml(comparison.name)}</strong>: ${comparison.records.length} records,
+      encoding ${escapeHtml(describeEncoding(comparison.encoding))}</p>
+    ${onlyA.length > 0 ? `<p class="warning">Not in B (its records count as “(empty)”): ${fieldList(onlyA)}</p>` : ''}
+    ${onlyB.length > 0 ? `<p class="warning">Only in B, not available for the pivot: ${fieldList(onlyB)}</p>` : ''}
+    <p>Pivot tables now show both databases side by side. Database B isn't stored; load it again after reopening.</p>
+  `;
+}
+
+function formatComparisonRecordCounts(comparison) {
+  return ['A', 'B'].map((side) => {
+    const filtered = comparison.filtered[side];
+    const total = comparison.total[side];
+    return `${side} ${filtered}${filtered < total ? ` of ${total}` : ''}`;
+  }).join(', ');
+}
+
+// B − A for numeric values; null if there is nothing to subtract
+function getComparisonDifference(valueA, valueB) {
+  return typeof valueA === 'number' && typeof valueB === 'number' ? valueB - valueA : null;
+}
+
+function formatComparisonValue(value, mode, aggregation) {
+  if (aggregation.type === 'count') {
+    return mode === 'count' ? String(value) : `${value.toFixed(1)}%`;
+  }
+  if (aggregation.type === 'count-distinct') {
+    return String(value);
+  }
+  return formatPivotCellValue(value, mode, aggregation);
+}
+
+function formatComparisonDifference(difference, mode) {
+  const unit = mode === 'count' ? '' : ' pp';
+  if (difference === 0) return `±0${unit}`;
+  return `${difference > 0 ? '+' : '−'}${formatNumber(Math.abs(difference))}${unit}`;
+}
+
+// Contents of a comparison cell: the value of A, of B, and the difference
+function renderComparisonCell(pivotData, rowKey, colKey, mode) {
+  const { aggregation } = pivotData;
+  const countA = getPivotCellRecords(pivotData, rowKey, colKey, 'A').length;
+  const countB = getPivotCellRecords(pivotData, rowKey, colKey, 'B').length;
+  const valueA = getPivotCellValue(pivotData, rowKey, colKey, mode, 'A');
+  const valueB = getPivotCellValue(pivotData, rowKey, colKey, mode, 'B');
+  const label = (count, value) => (count > 0 ? formatComparisonValue(value, mode, aggregation) : '—');
+  const difference = getComparisonDifference(valueA, valueB);
+
+  const classes = [];
+  if (countB === 0) classes.push('comparison-only-a');
+  if (countA === 0) classes.push('comparison-only-b');
+
+  let html = `
+    <span class="comparison-a">A ${escapeHtml(label(countA, valueA))}</span>
+    <span class="comparison-b">B ${escapeHtml(label(countB, valueB))}</span>
+  `;
+  if (difference !== null) {
+    const direction = difference > 0 ? 'up' : (difference < 0 ? 'down' : 'same');
+    html += `<span class="comparison-diff comparison-diff-${direction}">${escapeHtml(formatComparisonDifference(difference, mode))}</span>`;
+  }
+  return {
+    html,
+    classes,
+    title: `A: ${countA} entries, B: ${countB} entries`
+  };
+}
+
+// ----- Record diff -----
+// Records changed from A to B, matched by Reference; rendered up to the limit
+const DIFF_DISPLAY_LIMIT = 500;
+
+const DIFF_CHANGE_TYPES = {
+  'added': 'Added',
+  'removed': 'Removed',
+  'modified': 'Modified'
+};
+
+// Stored fields of both databases; derived fields follow from these
+function getDiffFields(comparison) {
+  const fields = [...state.baseFields];
+  comparison.fields.forEach((field) => {
+    if (!fields.includes(field)) fields.push(field);
+  });
+  return fields.filter(field => field !== REFERENCE_FIELD);
+}
+
+async function openRecordDiff() {
+  const { comparison } = state;
+  if (!comparison) return;
+  if (!state.baseFields.includes(REFERENCE_FIELD) && !comparison.fields.includes(REFERENCE_FIELD)) {
+    showNotice(`Records are matched by ${REFERENCE_FIELD}, but neither database has a ${REFERENCE_FIELD} field.`, 'error');
+    return;
+  }
+
+  const fields = getDiffFields(comparison);
+  let result;
+  try {
+    result = await callCore('diff', { fields, keyField: REFERENCE_FIELD }).promise;
+  } catch (error) {
+    showNotice(`Could not compare the records: ${error.message}`, 'error');
+    console.error('Error comparing records:', error);
+    return;
+  }
+
+  // Added and removed records list their non-empty values as changes from or to ""
+  const recordValues = record => fields
+    .filter(field => record[field])
+    .map(field => ({ field, value: record[field] }));
+  const entries = [
+    ...result.added.map((index) => {
+      const record = comparison.records[index];
+      return {
+        key: record[REFERENCE_FIELD],
+        type: 'added',
+        changes: recordValues(record).map(({ field, value }) => ({ field, before: '', after: value }))
+      };
+    }),
+    ...result.removed.map((index) => {
+      const record = state.records[index];
+      return {
+        key: record[REFERENCE_FIELD],
+        type: 'removed',
+        changes: recordValues(record).map(({ field, value }) => ({ field, before: value, after: '' }))
+      };
+    }),
+    ...result.modified.map(({ a, changes }) => ({
+      key: state.records[a][REFERENCE_FIELD],
+      type: 'modified',
+      changes
+    }))
+  ].sort((x, y) => naturalSort(x.key, y.key));
+
+  state.recordDiff = {
+    nameA: state.database,
+    nameB: comparison.name,
+    fields,
+    entries,
+    counts: {
+      added: result.added.length,
+      removed: result.removed.length,
+      modified: result.modified.length,
+      unchanged: result.unchanged
+    },
+    duplicateKeys: result.duplicateKeys,
+    unkeyed: result.unkeyed
+  };
+
+  const fieldSelect = document.getElementById('diff-field');
+  fieldSelect.innerHTML = '<option value="">All fields</option>' + fields
+    .map(field => `<option value="${escapeHtml(field)}">${escapeHtml(field)}</option>`)
+    .join('');
+  document.getElementById('diff-type').value = '';
+  renderRecordDiff();
+  showSection('diff');
+}
+
+// Entries of the chosen change type, with only the changes of the chosen field
+function getVisibleDiffEntries() {
+  const type = document.getElementById('diff-type').value;
+  const field = document.getElementById('diff-field').value;
+  return state.recordDiff.entries
+    .filter(entry => !type || entry.type === type)
+    .map(entry => (field ? { ...entry, changes: entry.changes.filter(change => change.field === field) } : entry))
+    .filter(entry => entry.changes.length > 0 || (!field && entry.type !== 'modified'));
+}
+
+function renderRecordDiff() {
+  const diff = state.recordDiff;
+  const info = document.getElementById('diff-info');
+  const body = document.getElementById('diff-body');
+  const { counts } = diff;
+
+  let notes = '';
+  if (diff.duplicateKeys.length > 0) {
+    const shown = diff.duplicateKeys.slice(0, 10).map(escapeHtml).join(', ');
+    const more = diff.duplicateKeys.length > 10 ? ` … +${diff.duplicateKeys.length - 10} more` : '';
+    notes += `<p class="warning">⚠ ${diff.duplicateKeys.length} ${REFERENCE_FIELD} value(s) occur more than once and were matched in file order: ${shown}${more}</p>`;
+  }
+  ['A', 'B'].forEach((side) => {
+    const count = diff.unkeyed[side];
+    if (count > 0) {
+      notes += `<p class="warning">⚠ ${count} record(s) in ${side} have no ${REFERENCE_FIELD} and are not compared.</p>`;
+    }
+  });
+  info.innerHTML = `
+    <span class="comparison-a">A</span> ${escapeHtml(diff.nameA)} →
+    <span class="comparison-b">B</span> ${escapeHtml(diff.nameB)} |
+    <strong>Added:</strong> ${counts.added} |
+    <strong>Removed:</strong> ${counts.removed} |
+    <strong>Modified:</strong> ${counts.modified} |
+    <strong>Unchanged:</strong> ${counts.unchanged}
+    ${notes}
+  `;
+
+  const entries = getVisibleDiffEntries();
+  const shownEntries = entries.slice(0, DIFF_DISPLAY_LIMIT);
+  let html = '';
+  shownEntries.forEach((entry) => {
+    const changes = entry.changes.length > 0 ? entry.changes : [{ field: '', before: '', after: '' }];
+    changes.forEach((change, index) => {
+      html += `<tr class="diff-${entry.type}">`;
+      if (index === 0) {
+        const span = changes.length > 1 ? ` rowspan="${changes.length}"` : '';
+        html += `<td${span} class="diff-key">${escapeHtml(entry.key)}</td>`;
+        html += `<td${span}><span class="diff-badge diff-badge-${entry.type}">${DIFF_CHANGE_TYPES[entry.type]}</span></td>`;
+      }
+      html += `
+        <td>${escapeHtml(change.field)}</td>
+        <td class="diff-before">${escapeHtml(change.before)}</td>
+        <td class="diff-after">${escapeHtml(change.after)}</td>
+      </tr>`;
+    });
+  });
+  if (entries.length === 0) {
+    html = '<tr><td colspan="5" class="empty-cell">No changes</td></tr>';
+  }
+  body.innerHTML = html;
+
+  const limitNote = document.getElementById('diff-limit-note');
+  limitNote.textContent = entries.length > DIFF_DISPLAY_LIMIT
+    ? `Showing the first ${DIFF_DISPLAY_LIMIT} of ${entries.length} records. Export to see all of them.`
+    : '';
+  limitNote.classList.toggle('hidden', entries.length <= DIFF_DISPLAY_LIMIT);
+}
+
+// One row per changed field, for the current type and field filter
+function buildRecordDiffExportRows() {
+  const diff = state.recordDiff;
+  const rows = [[REFERENCE_FIELD, 'Change', 'Field', `Before (${diff.nameA})`, `After (${diff.nameB})`]];
+  getVisibleDiffEntries().forEach((entry) => {
+    if (entry.changes.length === 0) {
+      rows.push([entry.key, DIFF_CHANGE_TYPES[entry.type], '', '', '']);
+    }
+    entry.changes.forEach((change) => {
+      rows.push([entry.key, DIFF_CHANGE_TYPES[entry.type], change.field, change.before, change.after]);
+    });
+  });
+  return { rows, headerRowCount: 1 };
+}
+
+function exportRecordDiff(format) {
+  if (!state.recordDiff) return;
+  const type = document.getElementById('diff-type').value;
+  const field = document.getElementById('diff-field').value;
+  const nameB = state.recordDiff.nameB.replace(/\.xml$/i, '');
+  const suffix = ['changes_to', nameB, type, field].filter(Boolean).join('_');
+  exportRows(buildRecordDiffExportRows(), getExportBaseName(suffix), format);
+}
+
+// ===== Field Profile =====
+// Flagged problems of the profile being shown, each with its records
+let profileFlags = [];
+
+const NEAR_DUPLICATE_KINDS = {
+  'normalization': 'Unicode normalization',
+  'whitespace': 'whitespace',
+  'case': 'case'
+};
+
+async function openFieldProfile() {
+  const button = document.getElementById('field-profile-btn');
+  button.disabled = true;
+  let profile;
+  try {
+    profile = await callCore('profile', { fields: state.baseFields }).promise;
+  } catch (error) {
+    showNotice(`Could not profile the fields: ${error.message}`, 'error');
+    console.error('Error profiling fields:', error);
+    return;
+  } finally {
+    button.disabled = false;
+  }
+
+  renderFieldProfile(profile);
+  showSection('profile');
+}
+
+// Invisible and combining characters get a visible stand-in
+function formatProfileCharacter(character) {
+  const visible = { ' ': '␣', '\t': '⇥', '\n': '↵', '\r': '↵', '\u00a0': '⍽' };
+  if (visible[character]) return visible[character];
+  if (/\p{M}/u.test(character)) return `◌${character}`;
+  if (/[\p{C}\p{Z}]/u.test(character)) return `U+${character.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+  return character;
+}
+
+function getProfileFlags(profile) {
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  const quote = value => `“${value}”`;
+  return [
+    ...profile.nearDuplicates.map(group => ({
+      kind: 'near-duplicate',
+      label: `${group.field}: ${group.values.map(({ value, count }) => `${quote(value)} (${count})`).join(', ')}
+        differ only by ${group.kinds.map(kind => NEAR_DUPLICATE_KINDS[kind]).join(', ')}`,
+      title: `${group.field}: ${group.values.map(({ value }) => quote(value)).join(', ')}`,
+      indices: group.indices
+    })),
+    ...profile.duplicateKeys.map(({ key, indices }) => ({
+      kind: 'duplicate-reference',
+      label: `${REFERENCE_FIELD} ${quote(key)} is used by ${plural(indices.length, 'record')}`,
+      title: `${REFERENCE_FIELD} ${quote(key)}`,
+      indices
+    })),
+    ...profile.missingFields.map(({ field, filled, indices }) => ({
+      kind: 'missing-field',
+      label: `${field} is empty in ${plural(indices.length, 'record')}, but filled in ${Math.round((filled / profile.recordCount) * 100)}% of them`,
+      title: `${field} is empty`,
+      indices
+    }))
+  ];
+}
+
+function renderFieldProfile(profile) {
+  profileFlags = getProfileFlags(profile);
+  const info = document.getElementById('profile-info');
+  info.innerHTML = `
+    <strong>Database:</strong> ${escapeHtml(state.database)} |
+    <strong>Records:</strong> ${profile.recordCount} |
+    <strong>Fields:</strong> ${profile.fields.length} |
+    <strong>Possible problems:</strong> ${profileFlags.length}
+  `;
+
+  const flagGroups = [
+    ['near-duplicate', 'Near-duplicate values'],
+    ['duplicate-reference', `Duplicate ${REFERENCE_FIELD}s`],
+    ['missing-field', 'Records missing common fields']
+  ];
+  const flagsContainer = document.getElementById('profile-flags');
+  if (profileFlags.length === 0) {
+    flagsContainer.innerHTML = '<p class="no-views">No likely data-entry problems found.</p>';
+  } else {
+    flagsContainer.innerHTML = flagGroups.map(([kind, heading]) => {
+      const items = profileFlags
+        .map((flag, index) => ({ flag, index }))
+        .filter(({ flag }) => flag.kind === kind);
+      if (items.length === 0) return '';
+      return `
+        <h4>${escapeHtml(heading)} (${items.length})</h4>
+        <ul class="profile-flag-list">
+          ${items.map(({ flag, index }) => `
+            <li><button class="profile-flag" data-index="${index}" title="View the records">${escapeHtml(flag.label)}</button></li>
+          `).join('')}
+        </ul>
+      `;
+    }).join('');
+  }
+
+  const fillRate = filled => (profile.recordCount > 0 ? Math.round((filled / profile.recordCount) * 100) : 0);
+  document.getElementById('profile-body').innerHTML = profile.fields.map(({ field, filled, distinct, topValues, characters }) => `
+    <tr>
+      <th>${escapeHtml(field)}</th>
+      <td>
+        <div class="profile-fill"><span style="width: ${fillRate(filled)}%"></span></div>
+        ${fillRate(filled)}% (${filled})
+      </td>
+      <td>${distinct}</td>
+      <td class="profile-top-values">${topValues.map(({ value, count }) =>
+        `<span class="profile-value">${escapeHtml(value)}</span> <span class="profile-count">${count}</span>`).join('<br>')}</td>
+      <td class="profile-characters">${characters.map(({ character, count }) => {
+        const codePoint = character.codePointAt(0).toString(16).toUpperCase().padStart(4, '0');
+        return `<span class="profile-character" title="U+${codePoint}: ${count}">${escapeHtml(formatProfileCharacter(character))}</span>`;
+      }).join('')}</td>
+    </tr>
+  `).join('');
+
+  flagsContainer.querySelectorAll('.profile-flag').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const flag = profileFlags[parseInt(btn.dataset.index)];
+      openRecordList(flag.indices.map(index => state.records[index]), flag.title, 'profile');
+    });
+  });
+}
+
+// ===== Saved Views =====
+const VIEWS_FILE_TYPE = 'dekereke-pivot-views';
+
+function getCurrentViewConfig() {
+  return {
+    rowFields: getAxisFields('row'),
+    colFields: getAxisFields('col'),
+    aggregation: getSelectedAggregation(),
+    delimiters: getSelectedDelimiters(),
+    matching: getSelectedMatching(),
+    displayMode: state.pivotDisplayMode,
+    shading: state.pivotShading,
+    chartType: state.pivotChartType,
+    filterGroups: serializeFilterGroups(state.filterGroups)
+  };
+}
+
+function serializeFilterGroups(groups) {
+  return groups.map(group => ({
+    logic: group.logic,
+    negate: group.negate,
+    subgroups: serializeFilterGroups(group.subgroups),
+    conditions: group.conditions.map(condition => ({
+      field: condition.field,
+      operator: condition.operator,
+      value: condition.value,
+      values: [...(condition.values || [])],
+      useRegex: condition.useRegex,
+      negate: condition.negate,
+      caseSensitive: condition.caseSensitive,
+      normalization: condition.normalization,
+      foldDiacritics: condition.foldDiacritics
+    }))
+  }));
+}
+
+// Configurations saved before groups could be nested have no negate or
+// subgroups; they restore as groups without subgroups. Conditions saved
+// before the text matching options restore with the old matching.
+function restoreFilterGroups(groups) {
+  state.nextFilterGroupId = 1;
+  state.nextFilterConditionId = 1;
+  state.filterGroups = restoreFilterGroupList(groups);
+}
+
+function restoreFilterGroupList(groups) {
+  return (groups || []).map(group => ({
+    id: state.nextFilterGroupId++,
+    logic: group.logic === 'OR' ? 'OR' : 'AND',
+    negate: !!group.negate,
+    subgroups: restoreFilterGroupList(group.subgroups),
+    conditions: (group.conditions || []).map(condition => ({
+      id: state.nextFilterConditionId++,
+      field: condition.field || '',
+      operator: condition.operator || 'equals',
+      value: condition.value || '',
+      values: [...(condition.values || [])],
+      useRegex: !!condition.useRegex,
+      negate: !!condition.negate,
+      caseSensitive: !!condition.caseSensitive,
+      normalization: NORMALIZATION_FORMS[condition.normalization] ? condition.normalization : '',
+      foldDiacritics: !!condition.foldDiacritics
+    }))
+  }));
+}
+
+function getViewConfigFields(config) {
+  const fields = [...(config.rowFields || []), ...(config.colFields || [])];
+  if (config.aggregation && config.aggregation.field) {
+    fields.push(config.aggregation.field);
+  }
+  const addGroupFields = (groups) => {
+    (groups || []).forEach((group) => {
+      (group.conditions || []).forEach(condition => fields.push(condition.field));
+      addGroupFields(group.subgroups);
+    });
+  };
+  addGroupFields(config.filterGroups);
+  return Array.from(new Set(fields.filter(field => field)));
+}
+
+function findMissingFields(config) {
+  return getViewConfigFields(config).filter(field => !state.fields.includes(field));
+}
+
+// Applies a view to the configuration UI and generates the pivot table when
+// it is complete. Returns the fields the view names that this database lacks.
+function applyViewConfig(config) {
+  const missingFields = findMissingFields(config);
+  const available = fields => (fields || []).filter(field => state.fields.includes(field));
+
+  Object.entries(config.delimiters || {}).forEach(([field, delimiter]) => {
+    if (typeof delimiter === 'string') {
+      state.fieldDelimiters[field] = delimiter;
+    }
+  });
+  renderAxisFields('row', available(config.rowFields));
+  renderAxisFields('col', available(config.colFields));
+
+  // Views saved before the axis matching options group values exactly
+  const matching = config.matching || {};
+  document.getElementById('axis-ignore-case').checked = matching.caseSensitive === false;
+  document.getElementById('axis-normalization').value =
+    NORMALIZATION_FORMS[matching.normalization] ? matching.normalization : '';
+  document.getElementById('axis-fold-diacritics').checked = !!matching.foldDiacritics;
+
+  const aggregation = config.aggregation || { type: 'count', field: null };
+  const aggregationType = AGGREGATIONS[aggregation.type] ? aggregation.type : 'count';
+  document.getElementById('aggregation-type').value = aggregationType;
+  document.getElementById('aggregation-field').value =
+    state.fields.includes(aggregation.field) ? aggregation.field : '';
+
+  state.pivotDisplayMode = PIVOT_DISPLAY_MODES[config.displayMode] ? config.displayMode : 'count';
+  document.getElementById('display-mode').value = state.pivotDisplayMode;
+  state.pivotShading = HEATMAP_SCALES[config.shading] ? config.shading : 'none';
+  document.getElementById('heatmap-scale').value = state.pivotShading;
+  state.pivotChartType = CHART_TYPES[config.chartType] ? config.chartType : 'none';
+  document.getElementById('chart-type').value = state.pivotChartType;
+
+  restoreFilterGroups(config.filterGroups);
+  renderFilterGroups();
+  handleFieldChange();
+
+  if (!document.getElementById('generate-btn').disabled) {
+    handleGeneratePivot();
+  } else {
+    showSection('config');
+  }
+  return missingFields;
+}
+
+function getDatabaseViews() {
+  if (!state.savedViews[state.database]) {
+    state.savedViews[state.database] = [];
+  }
+  return state.savedViews[state.database];
+}
+
+function saveCurrentView() {
+  const name = prompt('Name for this view:');
+  if (!name || !name.trim()) return;
+
+  const views = getDatabaseViews();
+  const existing = views.find(view => view.name === name.trim());
+  if (existing && !confirm(`Replace the saved view "${existing.name}"?`)) return;
+
+  const view = {
+    id: existing ? existing.id : createViewId(),
+    name: name.trim(),
+    savedAt: new Date().toISOString(),
+    config: getCurrentViewConfig()
+  };
+  if (existing) {
+    views[views.indexOf(existing)] = view;
+  } else {
+    views.push(view);
+  }
+
+  saveSavedViews();
+  renderSavedViews();
+  showViewsMessage(`Saved view "${view.name}".`, 'success');
+}
+
+function loadView(viewId) {
+  const view = getDatabaseViews().find(v => v.id === viewId);
+  if (!view) return;
+
+  const missingFields = applyViewConfig(view.config);
+  if (missingFields.length > 0) {
+    showViewsMessage(`View "${view.name}" uses fields missing from this database: ${missingFields.join(', ')}`, 'error');
+  } else {
+    showViewsMessage(`Loaded view "${view.name}".`, 'success');
+  }
+}
+
+function renameView(viewId) {
+  const view = getDatabaseViews().find(v => v.id === viewId);
+  if (!view) return;
+
+  const name = prompt('New name for this view:', view.name);
+  if (!name || !name.trim()) return;
+
+  view.name = name.trim();
+  saveSavedViews();
+  renderSavedViews();
+}
+
+function deleteView(viewId) {
+  const views = getDatabaseViews();
+  const view = views.find(v => v.id === viewId);
+  if (!view || !confirm(`Delete the saved view "${view.name}"?`)) return;
+
+  views.splice(views.indexOf(view), 1);
+  saveSavedViews();
+  renderSavedViews();
+}
+
+function exportViews() {
+  const data = {
+    type: VIEWS_FILE_TYPE,
+    version: 1,
+    database: state.database,
+    views: getDatabaseViews()
+  };
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, `${getExportBaseName('views')}.json`);
+}
+
+async function importViews(file) {
+  try {
+    const data = JSON.parse(await file.text());
+    if (!data || data.type !== VIEWS_FILE_TYPE || !Array.isArray(data.views)) {
+      throw new Error('Not a Dekereke Pivot Tables views file.');
+    }
+
+    // Invalid views are skipped before anything is stored, as a stored view
+    // that cannot be rendered would break the list on every later load
+    const validViews = data.views.filter(isValidView);
+    const skipped = data.views.length - validViews.length;
+    const views = getDatabaseViews();
+    validViews.forEach((view) => {
+      // Keep both copies when names clash
+      let name = view.name;
+      for (let n = 2; views.some(v => v.name === name); n++) {
+        name = `${view.name} (${n})`;
+      }
+      const savedAt = typeof view.savedAt === 'string' ? view.savedAt : new Date().toISOString();
+      views.push({ id: createViewId(), name, savedAt, config: view.config });
+    });
+
+    if (validViews.length > 0) {
+      saveSavedViews();
+      renderSavedViews();
+    }
+    const skippedText = skipped > 0 ? ` Skipped ${skipped} invalid view(s).` : '';
+    showViewsMessage(`Imported ${validViews.length} view(s).${skippedText}`, validViews.length > 0 ? 'success' : 'error');
+  } catch (error) {
+    showViewsMessage(`Could not import views: ${error.message}`, 'error');
+    console.error('Error importing views:', error);
+  }
+}
+
+// A view from a file has a name and axis fields that are strings, and a
+// list of filter groups
+function isValidView(view) {
+  const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+  return Boolean(view) &&
+    typeof view.name === 'string' && view.name.trim() !== '' &&
+    Boolean(view.config) && typeof view.config === 'object' &&
+    isStringArray(view.config.rowFields) &&
+    isStringArray(view.config.colFields) &&
+    isValidFilterGroupList(view.config.filterGroups);
+}
+
+// Each group is an object whose conditions and subgroups, when present, are
+// lists; each condition names its field
+function isValidFilterGroupList(groups) {
+  const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  const isValidCondition = condition => isObject(condition) &&
+    typeof condition.field === 'string' &&
+    (condition.values === undefined || (Array.isArray(condition.values) && condition.values.every(value => typeof value === 'string')));
+  return Array.isArray(groups) && groups.every(group => isObject(group) &&
+    (group.conditions === undefined || (Array.isArray(group.conditions) && group.conditions.every(isValidCondition))) &&
+    (group.subgroups === undefined || isValidFilterGroupList(group.subgroups)));
+}
+
+function createViewId() {
+  return `view-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function renderSavedViews() {
+  const list = document.getElementById('saved-views-list');
+  const views = state.database ? getDatabaseViews() : [];
+  document.getElementById('export-views-btn').disabled = views.length === 0;
+
+  if (views.length === 0) {
+    list.innerHTML = '<p class="no-views">No saved views for this database.</p>';
+    return;
+  }
+
+  list.innerHTML = views.map(view => `
+    <div class="saved-view-item">
+      <button class="view-load-btn" data-view-id="${escapeHtml(view.id)}" title="Load this view">${escapeHtml(view.name)}</button>
+      <span class="view-meta">${escapeHtml((view.config.rowFields || []).join(' > '))} × ${escapeHtml((view.config.colFields || []).join(' > '))}</span>
+      <button class="view-rename-btn" data-view-id="${escapeHtml(view.id)}" title="Rename view">✎</button>
+      <button class="view-delete-btn" data-view-id="${escapeHtml(view.id)}" title="Delete view">×</button>
+    </div>
+  `).join('');
+
+  list.querySelectorAll('.view-load-btn').forEach((btn) => {
+    btn.addEventListener('click', () => loadView(btn.dataset.viewId));
+  });
+  list.querySelectorAll('.view-rename-btn').forEach((btn) => {
+    btn.addEventListener('click', () => renameView(btn.dataset.viewId));
+  });
+  list.querySelectorAll('.view-delete-btn').forEach((btn) => {
+    btn.addEventListener('click', () => deleteView(btn.dataset.viewId));
+  });
+}
+
+function showViewsMessage(message, type) {
+  const el = document.getElementById('views-message');
+  el.className = `views-message ${type}`;
+  el.textContent = message;
+}
+
+function saveSavedViews() {
+  localStorage.setItem('savedViews', JSON.stringify(state.savedViews));
+}
+
+function loadSavedViews() {
+  const saved = localStorage.getItem('savedViews');
+  if (saved) {
+    state.savedViews = JSON.parse(saved);
+  }
+}
+
+// ===== Derived Fields =====
+// Definitions live in state.derivedFields and are stored with the database
+// summary in IndexedDB; the values are computed by the core (see
+// deriveFields in core.js) and stored on the records like any other field.
+let editingDerivedIndex = null; // Index of the definition being edited, -1 for a new one
+
+async function applyDerivedFields(definitions) {
+  const names = definitions.map(definition => definition.name);
+  const removed = state.derivedFields.map(definition => definition.name).filter(name => !names.includes(name));
+
+  const comparisonFields = state.comparison ? state.comparison.fields : [];
+  const { values, errors, comparisonValues } = await callCore('derive', {
+    definitions,
+    baseFields: state.baseFields,
+    comparisonFields,
+    removed
+  }).promise;
+
+  // The worker computed the values on its own copy of the records. A
+  // definition named like a field of the data never replaced it, so that
+  // field stays.
+  const comparisonRecords = state.comparison ? state.comparison.records : [];
+  [...removed, ...Object.keys(errors)].forEach((field) => {
+    if (!state.baseFields.includes(field)) {
+      state.records.forEach((record) => {
+        delete record[field];
+      });
+    }
+    if (!comparisonFields.includes(field)) {
+      comparisonRecords.forEach((record) => {
+        delete record[field];
+      });
+    }
+  });
+  Object.entries(values).forEach(([field, list]) => {
+    state.records.forEach((record, index) => {
+      record[field] = list[index];
+    });
+  });
+  Object.entries(comparisonValues).forEach(([field, list]) => {
+    comparisonRecords.forEach((record, index) => {
+      record[field] = list[index];
+    });
+  });
+
+  state.derivedFields = definitions;
+  state.derivedFieldErrors = errors;
+  state.fields = [...state.baseFields, ...names.filter(name => !errors[name])];
+  state.fieldValuesCache = {};
+  state.filteredRecordsCache = null;
+  return errors;
+}
+
+function describeDerivedField(definition) {
+  switch (definition.type) {
+    case 'regex':
+      return `${definition.source} ~ /${definition.pattern}/${definition.flags || ''}` +
+        (String(definition.group || '').trim() ? `, group ${definition.group}` : '');
+    case 'split':
+      return `${definition.source} split by "${definition.delimiter}", position ${definition.index}`;
+    case 'grouping': {
+      const assigned = Object.values(definition.assignments).filter(Boolean).length;
+      const rules = definition.rules.length;
+      return `${definition.source}: ${assigned} value${assigned === 1 ? '' : 's'} assigned, ` +
+        `${rules} rule${rules === 1 ? '' : 's'}` +
+        (definition.otherwise ? `, everything else → ${definition.otherwise}` : '');
+    }
+    default:
+      return definition.expression;
+  }
+}
+
+function renderDerivedFields() {
+  const list = document.getElementById('derived-fields-list');
+  if (state.derivedFields.length === 0) {
+    list.innerHTML = '<p class="no-views">No derived fields.</p>';
+    return;
+  }
+
+  list.innerHTML = state.derivedFields.map((definition, index) => {
+    const error = state.derivedFieldErrors[definition.name];
+    return `
+      <div class="saved-view-item">
+        <span class="derived-field-name">${escapeHtml(definition.name)}</span>
+        <span class="view-meta">
+          ${escapeHtml(DERIVED_FIELD_TYPES[definition.type])}: <code>${escapeHtml(describeDerivedField(definition))}</code>
+          ${error ? `<span class="derived-error">⚠ ${escapeHtml(error)}</span>` : ''}
+        </span>
+        <button class="derived-edit-btn" data-index="${index}" title="Edit derived field">✎</button>
+        <button class="derived-delete-btn" data-index="${index}" title="Delete derived field">×</button>
+      </div>
+    `;
+  }).join('');
+
+  list.querySelectorAll('.derived-edit-btn').forEach((btn) => {
+    btn.addEventListener('click', () => openDerivedFieldEditor(parseInt(btn.dataset.index)));
+  });
+  list.querySelectorAll('.derived-delete-btn').forEach((btn) => {
+    btn.addEventListener('click', () => deleteDerivedField(parseInt(btn.dataset.index)));
+  });
+}
+
+// Fields a definition may use: the stored fields and the derived fields
+// defined before it
+function getDerivedSourceFields(index) {
+  const earlier = index === -1 ? state.derivedFields : state.derivedFields.slice(0, index);
+  return [...state.baseFields, ...earlier.map(definition => definition.name)];
+}
+
+function openDerivedFieldEditor(index) {
+  editingDerivedIndex = index;
+  const definition = state.derivedFields[index] || {
+    name: '', type: 'regex', source: '', pattern: '', flags: '', group: '', delimiter: '.', index: 1, expression: '',
+    assignments: {}, rules: [], otherwise: ''
+  };
+
+  const sourceSelect = document.getElementById('derived-source');
+  sourceSelect.innerHTML = '<option value="">-- Select Field --</option>' +
+    getDerivedSourceFields(index).map(field =>
+      `<option value="${escapeHtml(field)}">${escapeHtml(field)}</option>`
+    ).join('');
+
+  document.getElementById('derived-name').value = definition.name;
+  document.getElementById('derived-type').value = definition.type;
+  sourceSelect.value = definition.source || '';
+  document.getElementById('derived-pattern').value = definition.pattern || '';
+  document.getElementById('derived-flags').value = definition.flags || '';
+  document.getElementById('derived-group').value = definition.group || '';
+  document.getElementById('derived-delimiter').value = definition.delimiter !== undefined ? definition.delimiter : '.';
+  document.getElementById('derived-index').value = definition.index || 1;
+  document.getElementById('derived-expression').value = definition.expression || '';
+  groupingAssignments = { ...definition.assignments };
+  renderGroupingRules(definition.rules || []);
+  document.getElementById('grouping-otherwise').value = definition.otherwise || '';
+  renderGroupingValues();
+
+  document.getElementById('derived-field-editor').classList.remove('hidden');
+  document.getElementById('add-derived-field-btn').disabled = true;
+  updateDerivedFieldEditor();
+  document.getElementById('derived-name').focus();
+}
+
+function closeDerivedFieldEditor() {
+  editingDerivedIndex = null;
+  document.getElementById('derived-field-editor').classList.add('hidden');
+  document.getElementById('add-derived-field-btn').disabled = false;
+}
+
+function readDerivedFieldEditor() {
+  const type = document.getElementById('derived-type').value;
+  const definition = { name: document.getElementById('derived-name').value.trim(), type };
+  if (type === 'regex') {
+    definition.source = document.getElementById('derived-source').value;
+    definition.pattern = document.getElementById('derived-pattern').value;
+    definition.flags = document.getElementById('derived-flags').value.trim();
+    definition.group = document.getElementById('derived-group').value.trim();
+  } else if (type === 'split') {
+    definition.source = document.getElementById('derived-source').value;
+    definition.delimiter = document.getElementById('derived-delimiter').value;
+    definition.index = parseInt(document.getElementById('derived-index').value, 10) || 0;
+  } else if (type === 'grouping') {
+    definition.source = document.getElementById('derived-source').value;
+    definition.assignments = {};
+    Object.entries(groupingAssignments).forEach(([value, group]) => {
+      if (group) definition.assignments[value] = group;
+    });
+    definition.rules = readGroupingRules();
+    definition.otherwise = document.getElementById('grouping-otherwise').value.trim();
+  } else {
+    definition.expression = document.getElementById('derived-expression').value;
+  }
+  return definition;
+}
+
+// Shows the options of the selected type and a preview of the values
+function updateDerivedFieldEditor() {
+  const definition = readDerivedFieldEditor();
+  document.querySelectorAll('.derived-type-options').forEach((el) => {
+    el.classList.toggle('hidden', el.dataset.type !== definition.type);
+  });
+  document.querySelector('.derived-source-row').classList.toggle('hidden', definition.type === 'expression');
+  if (definition.type === 'grouping') {
+    updateGroupingResults(definition);
+  }
+
+  const preview = document.getElementById('derived-preview');
+  let derive;
+  try {
+    derive = compileDerivedField(definition, getDerivedSourceFields(editingDerivedIndex));
+  } catch (error) {
+    preview.innerHTML = `<p class="derived-error">${escapeHtml(error.message)}</p>`;
+    return;
+  }
+
+  // Earlier derived fields are already on the records, so a sample is enough
+  const sample = state.records.slice(0, 1000);
+  const values = sample.map((record) => {
+    try {
+      return derive(record);
+    } catch (error) {
+      return '';
+    }
+  });
+  const filled = values.filter(value => value !== '').length;
+  const examples = sample
+    .map((record, i) => ({ from: definition.type === 'expression' ? null : record[definition.source] || '', value: values[i] }))
+    .filter(example => example.value !== '')
+    .slice(0, 5);
+
+  preview.innerHTML = `
+    <p>${filled} of the first ${sample.length} records get a value${filled > 0 ? ', e.g.:' : '.'}</p>
+    ${examples.length > 0 ? `
+      <ul>
+        ${examples.map(example => `
+          <li>${example.from !== null ? `${escapeHtml(example.from)} → ` : ''}<strong>${escapeHtml(example.value)}</strong></li>
+        `).join('')}
+      </ul>
+    ` : ''}
+  `;
+}
+
+async function saveDerivedField() {
+  const definition = readDerivedFieldEditor();
+  const preview = document.getElementById('derived-preview');
+  const otherNames = [
+    ...state.baseFields,
+    ...state.derivedFields.filter((_, i) => i !== editingDerivedIndex).map(other => other.name)
+  ];
+
+  let problem = null;
+  if (!definition.name) {
+    problem = 'Enter a name for the field.';
+  } else if (otherNames.includes(definition.name)) {
+    problem = `There is already a field named "${definition.name}".`;
+  } else {
+    try {
+      compileDerivedField(definition, getDerivedSourceFields(editingDerivedIndex));
+    } catch (error) {
+      problem = error.message;
+    }
+  }
+  if (problem) {
+    preview.innerHTML = `<p class="derived-error">${escapeHtml(problem)}</p>`;
+    return;
+  }
+
+  const definitions = [...state.derivedFields];
+  if (editingDerivedIndex >= 0) {
+    definitions[editingDerivedIndex] = definition;
+  } else {
+    definitions.push(definition);
+  }
+
+  closeDerivedFieldEditor();
+  await updateDerivedFields(definitions);
+}
+
+async function deleteDerivedField(index) {
+  const definition = state.derivedFields[index];
+  if (!confirm(`Delete the derived field "${definition.name}"?`)) return;
+  if (editingDerivedIndex !== null) {
+    closeDerivedFieldEditor();
+  }
+  await updateDerivedFields(state.derivedFields.filter((_, i) => i !== index));
+}
+
+async function updateDerivedFields(definitions) {
+  try {
+    const errors = await applyDerivedFields(definitions);
+    const failed = Object.keys(errors);
+    if (failed.length > 0) {
+      showNotice(`Some derived fields could not be computed: ${failed.join(', ')}`, 'error');
+    }
+  } catch (error) {
+    showNotice(`Could not compute the derived fields: ${error.message}`, 'error');
+    console.error('Error deriving fields:', error);
+    return;
+  }
+
+  refreshFieldSelects();
+  renderDerivedFields();
+  saveDerivedFields();
+}
+
+// ----- Value groups -----
+// Manual assignments of the grouping being edited, by value
+let groupingAssignments = {};
+const VALUE_GROUPS_FILE_TYPE = 'dekereke-pivot-value-groups';
+
+function renderGroupingRules(rules) {
+  const container = document.getElementById('grouping-rules');
+  container.innerHTML = rules.map(rule => `
+    <div class="grouping-rule">
+      <input type="text" class="grouping-rule-pattern derived-wide-input" value="${escapeHtml(rule.pattern)}"
+        placeholder="e.g. ^H+L+$" aria-label="Rule pattern">
+      <span>→</span>
+      <input type="text" class="grouping-rule-group" value="${escapeHtml(rule.group)}" list="grouping-group-names"
+        placeholder="Group" aria-label="Group for values matching the rule">
+      <button class="grouping-rule-remove" title="Remove rule">×</button>
+    </div>
+  `).join('');
+
+  container.querySelectorAll('.grouping-rule-remove').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      btn.closest('.grouping-rule').remove();
+      updateDerivedFieldEditor();
+    });
+  });
+}
+
+function readGroupingRules() {
+  return Array.from(document.querySelectorAll('#grouping-rules .grouping-rule'))
+    .map(row => ({
+      pattern: row.querySelector('.grouping-rule-pattern').value,
+      group: row.querySelector('.grouping-rule-group').value.trim()
+    }))
+    .filter(rule => rule.pattern || rule.group);
+}
+
+// One row per distinct value of the source field (as collected for the
+// filter dropdowns), with its record count and group
+function renderGroupingValues() {
+  const source = document.getElementById('derived-source').value;
+  const values = source ? getFieldValues(source) : [];
+  const counts = new Map();
+  if (source) {
+    state.records.forEach((record) => {
+      const value = record[source];
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+  }
+
+  const body = document.getElementById('grouping-values');
+  if (values.length === 0) {
+    body.innerHTML = `<tr><td colspan="4" class="no-views">${source ? 'This field has no values.' : 'Select a field.'}</td></tr>`;
+    return;
+  }
+
+  body.innerHTML = values.map(value => `
+    <tr>
+      <td>${escapeHtml(value)}</td>
+      <td class="grouping-count">${counts.get(value) || 0}</td>
+      <td>
+        <input type="text" class="grouping-assign-input" data-value="${escapeHtml(value)}"
+          value="${escapeHtml(groupingAssignments[value] || '')}" list="grouping-group-names"
+          aria-label="Group for ${escapeHtml(value)}">
+      </td>
+      <td class="grouping-result"></td>
+    </tr>
+  `).join('');
+
+  body.querySelectorAll('.grouping-assign-input').forEach((input) => {
+    input.addEventListener('input', () => {
+      groupingAssignments[input.dataset.value] = input.value.trim();
+    });
+  });
+}
+
+// Fills in the resulting group of every value and the group name suggestions
+function updateGroupingResults(definition) {
+  let grouping = null;
+  try {
+    grouping = compileValueGrouping(definition);
+  } catch (error) {
+    // Reported in the preview
+  }
+
+  document.querySelectorAll('#grouping-values .grouping-assign-input').forEach((input) => {
+    const result = grouping ? getValueGroup(input.dataset.value, grouping) : '';
+    input.closest('tr').querySelector('.grouping-result').textContent = result;
+  });
+
+  const names = new Set([
+    ...Object.values(definition.assignments),
+    ...definition.rules.map(rule => rule.group),
+    definition.otherwise
+  ].filter(Boolean));
+  document.getElementById('grouping-group-names').innerHTML = Array.from(names).sort(naturalSort)
+    .map(name => `<option value="${escapeHtml(name)}"></option>`).join('');
+}
+
+function exportValueGroups() {
+  const definition = readDerivedFieldEditor();
+  const data = {
+    type: VALUE_GROUPS_FILE_TYPE,
+    version: 1,
+    name: definition.name,
+    field: definition.source,
+    assignments: definition.assignments,
+    rules: definition.rules,
+    otherwise: definition.otherwise
+  };
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, `${getExportBaseName(`${definition.name || definition.source || 'value'}_groups`)}.json`);
+}
+
+async function importValueGroups(file) {
+  const preview = document.getElementById('derived-preview');
+  try {
+    const data = JSON.parse(await file.text());
+    if (!data || data.type !== VALUE_GROUPS_FILE_TYPE || typeof data.assignments !== 'object' || !Array.isArray(data.rules)) {
+      throw new Error('Not a Dekereke Pivot Tables value groups file.');
+    }
+
+    document.getElementById('derived-type').value = 'grouping';
+    const sourceSelect = document.getElementById('derived-source');
+    const fieldAvailable = Array.from(sourceSelect.options).some(option => option.value === data.field);
+    if (fieldAvailable) {
+      sourceSelect.value = data.field;
+    }
+    const nameInput = document.getElementById('derived-name');
+    if (!nameInput.value.trim() && data.name) {
+      nameInput.value = data.name;
+    }
+    groupingAssignments = { ...data.assignments };
+    renderGroupingRules(data.rules);
+    document.getElementById('grouping-otherwise').value = data.otherwise || '';
+    renderGroupingValues();
+    updateDerivedFieldEditor();
+
+    if (!fieldAvailable) {
+      preview.insertAdjacentHTML('afterbegin',
+        `<p class="derived-error">The groups were made for the field "${escapeHtml(data.field)}", which this database doesn't have. Select the field to apply them to.</p>`);
+    }
+  } catch (error) {
+    preview.innerHTML = `<p class="derived-error">Could not import value groups: ${escapeHtml(error.message)}</p>`;
+    console.error('Error importing value groups:', error);
+  }
+}
+
+// A new source field starts with no assignments; grouping fields are named after it
+function handleDerivedSourceChange() {
+  const type = document.getElementById('derived-type').value;
+  const source = document.getElementById('derived-source').value;
+  if (type === 'grouping') {
+    groupingAssignments = {};
+    renderGroupingValues();
+    const nameInput = document.getElementById('derived-name');
+    if (!nameInput.value.trim() && source) {
+      nameInput.value = `${source} (grouped)`;
+    }
+  }
+  updateDerivedFieldEditor();
+}
+
+// Re-renders the field dropdowns after fields were added or removed,
+// keeping the current choices that still exist
+function refreshFieldSelects() {
+  const keep = fields => fields.filter(field => state.fields.includes(field));
+  const rowFields = keep(getAxisFields('row'));
+  const colFields = keep(getAxisFields('col'));
+  const aggregationField = document.getElementById('aggregation-field').value;
+
+  populateFieldSelects();
+  renderAxisFields('row', rowFields);
+  renderAxisFields('col', colFields);
+  document.getElementById('aggregation-field').value = state.fields.includes(aggregationField) ? aggregationField : '';
+  renderFilterGroups();
+  handleFieldChange();
+}
+
+// ===== Shareable Configuration Links (?config=) =====
+// Unlike the #gz: hash, these links carry only the pivot configuration and
+// filters, never the data.
+const CONFIG_URL_PARAM = 'config';
+
+function encodeViewConfig(config) {
+  const bytes = new TextEncoder().encode(JSON.stringify({ version: 1, ...config }));
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  // URL-safe base64 without padding
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeViewConfig(text) {
+  const config = JSON.parse(new TextDecoder().decode(decodeBase64(text)));
+  if (!config || !Array.isArray(config.rowFields) || !Array.isArray(config.colFields)) {
+    throw new Error('The link does not contain a pivot configuration.');
+  }
+  return config;
+}
+
+function buildConfigLink() {
+  const url = new URL(window.location.href);
+  url.hash = '';
+  url.searchParams.set(CONFIG_URL_PARAM, encodeViewConfig(getCurrentViewConfig()));
+  return url.toString();
+}
+
+async function copyConfigLink() {
+  const btn = document.getElementById('copy-config-link-btn');
+  const link = buildConfigLink();
+
+  try {
+    await navigator.clipboard.writeText(link);
+    btn.textContent = '✓ Link Copied!';
+  } catch (error) {
+    // Clipboard API unavailable (e.g. insecure context); let the user copy by hand
+    prompt('Copy this link:', link);
+  }
+  setTimeout(() => {
+    btn.textContent = '🔗 Copy Config Link';
+  }, 2000);
+}
+
+function loadConfigFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const encoded = params.get(CONFIG_URL_PARAM);
+  if (!encoded) return;
+
+  try {
+    state.pendingViewConfig = decodeViewConfig(encoded);
+    if (state.records.length > 0) {
+      applyPendingViewConfig();
+    } else {
+      showNotice('A shared pivot configuration will be applied when you load a database.', 'info');
+    }
+  } catch (error) {
+    clearConfigFromUrl();
+    showNotice(`The shared configuration link is invalid or incomplete: ${error.message}`, 'error');
+    console.error('Error reading shared configuration:', error);
+  }
+}
+
+function applyPendingViewConfig() {
+  const config = state.pendingViewConfig;
+  state.pendingViewConfig = null;
+  clearConfigFromUrl();
+
+  const missingFields = applyViewConfig(config);
+  if (missingFields.length > 0) {
+    showNotice(`The shared configuration uses fields missing from this database: ${missingFields.join(', ')}`, 'error');
+  } else {
+    showNotice('Applied the shared pivot configuration.', 'success');
+  }
+}
+
+function clearConfigFromUrl() {
+  const url = new URL(window.location.href);
+  url.searchParams.delete(CONFIG_URL_PARAM);
+  history.replaceState(null, '', url.pathname + url.search + url.hash);
+}
+
+// ===== Stored Databases (IndexedDB) =====
+// Parsed records are kept in IndexedDB so a database doesn't have to be
+// re-picked and re-parsed every session. Summaries (name, size, counts, dates
+// and the last pivot configuration) live in their own store so the recent
+// list can be shown without reading every record.
+const IDB_NAME = 'dekereke-pivot-tables';
+const IDB_VERSION = 1;
+const IDB_SUMMARIES = 'summaries';
+const IDB_RECORDS = 'records';
+let idbPromise = null;
+
+function openWorkspaceDB() {
+  if (!idbPromise) {
+    idbPromise = new Promise((resolve, reject) => {
+      if (!('indexedDB' in window)) {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(IDB_SUMMARIES)) {
+          db.createObjectStore(IDB_SUMMARIES, { keyPath: 'name' });
+        }
+        if (!db.objectStoreNames.contains(IDB_RECORDS)) {
+          db.createObjectStore(IDB_RECORDS, { keyPath: 'name' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a retry after a failure (e.g. a blocked upgrade)
+    idbPromise.catch(() => {
+      idbPromise = null;
+    });
+  }
+  return idbPromise;
+}
+
+async function idbTransaction(storeNames, mode, callback) {
+  const db = await openWorkspaceDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    let result;
+    Promise.resolve(callback(tx)).then((value) => {
+      result = value;
+    }, (error) => {
+      try {
+        tx.abort();
+      } catch (abortError) {
+        // Already finished
+      }
+      reject(error);
+    });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function storeDatabase(name, records, fields, size, structure) {
+  try {
+    await idbTransaction([IDB_SUMMARIES, IDB_RECORDS], 'readwrite', async (tx) => {
+      const summaries = tx.objectStore(IDB_SUMMARIES);
+      const previous = await idbRequest(summaries.get(name));
+      summaries.put({
+        name,
+        size,
+        recordCount: records.length,
+        fieldCount: fields.length,
+        loadedAt: new Date().toISOString(),
+        // Same database again: keep its last pivot configuration and derived fields
+        workspace: previous ? previous.workspace : null,
+        derivedFields: previous ? previous.derivedFields || [] : []
+      });
+      // Derived values are computed again when the database is opened
+      const storedRecords = records.map(record => pickFields(record, fields));
+      tx.objectStore(IDB_RECORDS).put({ name, records: storedRecords, fields, structure });
+    });
+  } catch (error) {
+    console.error('Error storing database:', error);
+    const reason = error && error.name === 'QuotaExceededError'
+      ? 'there is not enough storage space'
+      : (error && error.message) || 'unknown error';
+    showNotice(`The database could not be saved for next time: ${reason}.`, 'error');
+  }
+  renderRecentDatabases();
+}
+
+function pickFields(record, fields) {
+  const picked = {};
+  fields.forEach((field) => {
+    if (field in record) {
+      picked[field] = record[field];
+    }
+  });
+  return picked;
+}
+
+async function getStoredDerivedFields(name) {
+  try {
+    const summary = await idbTransaction([IDB_SUMMARIES], 'readonly', tx =>
+      idbRequest(tx.objectStore(IDB_SUMMARIES).get(name))
+    );
+    return (summary && summary.derivedFields) || [];
+  } catch (error) {
+    return []; // IndexedDB unavailable: nothing was stored
+  }
+}
+
+async function saveDerivedFields() {
+  if (!state.database) return;
+  try {
+    await idbTransaction([IDB_SUMMARIES], 'readwrite', async (tx) => {
+      const summaries = tx.objectStore(IDB_SUMMARIES);
+      const summary = await idbRequest(summaries.get(state.database));
+      if (summary) {
+        summary.derivedFields = state.derivedFields;
+        summaries.put(summary);
+      }
+    });
+  } catch (error) {
+    console.error('Error saving derived fields:', error);
+  }
+}
+
+async function saveWorkspace() {
+  if (!state.database) return;
+  const workspace = getCurrentViewConfig();
+  try {
+    await idbTransaction([IDB_SUMMARIES], 'readwrite', async (tx) => {
+      const summaries = tx.objectStore(IDB_SUMMARIES);
+      const summary = await idbRequest(summaries.get(state.database));
+      if (summary) {
+        summary.workspace = workspace;
+        summaries.put(summary);
+      }
+    });
+  } catch (error) {
+    console.error('Error saving workspace:', error);
+  }
+}
+
+async function listStoredDatabases() {
+  const summaries = await idbTransaction([IDB_SUMMARIES], 'readonly', tx =>
+    idbRequest(tx.objectStore(IDB_SUMMARIES).getAll())
+  );
+  return summaries.sort((a, b) => b.loadedAt.localeCompare(a.loadedAt));
+}
+
+async function openStoredDatabase(name) {
+  if (!confirmDiscardEdits()) return;
+  const fileInfo = document.getElementById('file-info');
+  try {
+    const [summary, stored] = await idbTransaction([IDB_SUMMARIES, IDB_RECORDS], 'readonly', tx => Promise.all([
+      idbRequest(tx.objectStore(IDB_SUMMARIES).get(name)),
+      idbRequest(tx.objectStore(IDB_RECORDS).get(name))
+    ]));
+    if (!summary || !stored) {
+      throw new Error('The stored copy of this database no longer exists.');
+    }
+
+    // A shared configuration link takes precedence over the saved workspace
+    const restoreWorkspace = summary.workspace && !state.pendingViewConfig;
+    await showLoadedDatabase(name, stored.records, stored.fields, {
+      persist: false,
+      structure: stored.structure,
+      derivedFields: summary.derivedFields || []
+    });
+    if (restoreWorkspace) {
+      const missingFields = applyViewConfig(summary.workspace);
+      if (missingFields.length > 0) {
+        showNotice(`The saved configuration uses fields missing from this database: ${missingFields.join(', ')}`, 'error');
+      }
+    }
+  } catch (error) {
+    fileInfo.innerHTML = `<p class="error">Error opening stored database: ${escapeHtml(error.message)}</p>`;
+    fileInfo.classList.remove('hidden');
+    console.error('Error opening stored database:', error);
+  }
+}
+
+async function deleteStoredDatabase(name) {
+  if (!confirm(`Delete the stored copy of "${name}"? The original XML file is not affected.`)) return;
+
+  try {
+    await idbTransaction([IDB_SUMMARIES, IDB_RECORDS], 'readwrite', (tx) => {
+      tx.objectStore(IDB_SUMMARIES).delete(name);
+      tx.objectStore(IDB_RECORDS).delete(name);
+    });
+    if (localStorage.getItem('lastDatabase') === name) {
+      localStorage.removeItem('lastDatabase');
+    }
+  } catch (error) {
+    console.error('Error deleting stored database:', error);
+    showNotice(`Could not delete "${name}": ${error.message}`, 'error');
+  }
+  renderRecentDatabases();
+}
+
+async function restoreLastDatabase() {
+  const name = localStorage.getItem('lastDatabase');
+  if (!name) return;
+
+  try {
+    const summaries = await listStoredDatabases();
+    if (summaries.some(summary => summary.name === name)) {
+      await openStoredDatabase(name);
+    }
+  } catch (error) {
+    console.error('Error restoring last database:', error);
+  }
+}
+
+async function renderRecentDatabases() {
+  const container = document.getElementById('recent-databases');
+  const list = document.getElementById('recent-databases-list');
+
+  let summaries;
+  try {
+    summaries = await listStoredDatabases();
+  } catch (error) {
+    // No IndexedDB (e.g. some private browsing modes): nothing to show
+    container.classList.add('hidden');
+    return;
+  }
+
+  if (summaries.length === 0) {
+    container.classList.add('hidden');
+    return;
+  }
+
+  list.innerHTML = summaries.map(summary => `
+    <div class="recent-database-item">
+      <div class="recent-database-details">
+        <strong>${escapeHtml(summary.name)}</strong>
+        <span class="recent-database-meta">
+          ${formatBytes(summary.size)} · ${summary.recordCount} records · ${summary.fieldCount} fields ·
+          loaded ${escapeHtml(new Date(summary.loadedAt).toLocaleString())}
+        </span>
+      </div>
+      <button class="secondary-btn open-stored-btn" data-name="${escapeHtml(summary.name)}">Open</button>
+      <button class="delete-stored-btn" data-name="${escapeHtml(summary.name)}" title="Delete stored copy">×</button>
+    </div>
+  `).join('');
+
+  list.querySelectorAll('.open-stored-btn').forEach((btn) => {
+    btn.addEventListener('click', () => openStoredDatabase(btn.dataset.name));
+  });
+  list.querySelectorAll('.delete-stored-btn').forEach((btn) => {
+    btn.addEventListener('click', () => deleteStoredDatabase(btn.dataset.name));
+  });
+
+  container.classList.remove('hidden');
+  renderStorageUsage();
+}
+
+async function renderStorageUsage() {
+  const usage = document.getElementById('storage-usage');
+  if (!navigator.storage || !navigator.storage.estimate) {
+    usage.textContent = '';
+    return;
+  }
+  const estimate = await navigator.storage.estimate();
+  usage.textContent = `Storage used: ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} available to this app`;
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  const value = bytes / Math.pow(1024, exponent);
+  return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`;
+}
+
+// ===== Export (CSV, TSV, XLSX) =====
+function buildPivotExportRows(pivotData) {
+  const rows = [];
+  const rowLevels = pivotData.rowFields.length;
+  const colLevels = pivotData.colFields.length;
+  const colPaths = pivotData.colValues.map(key => key.split(PIVOT_PATH_SEPARATOR));
+  // Comparison pivots get three columns per column value: A, B and B − A
+  const { comparison } = pivotData;
+  const subColumns = comparison ? ['A', 'B', 'B − A'] : [''];
+
+  // One header row per column level; the last one also names the row fields
+  for (let level = 0; level < colLevels; level++) {
+    const isLast = level === colLevels - 1;
+    const labels = isLast
+      ? pivotData.rowFields.map((field, index) => index === rowLevels - 1 ? `${field} \\ ${pivotData.colFields[level]}` : field)
+      : pivotData.rowFields.map((field, index) => index === rowLevels - 1 ? pivotData.colFields[level] : '');
+    const displayMode = getPivotDisplayMode(pivotData);
+    let totalLabel = displayMode === 'count' ? 'Total' : `Total (${PIVOT_DISPLAY_MODES[displayMode]})`;
+    if (pivotData.aggregation.type !== 'count') {
+      totalLabel = `Total (${describeAggregation(pivotData.aggregation)})`;
+    }
+    rows.push([
+      ...labels,
+      ...colPaths.flatMap(path => subColumns.map(() => path[level])),
+      ...subColumns.map(() => (level === 0 ? totalLabel : ''))
+    ]);
+  }
+  if (comparison) {
+    rows.push([
+      ...new Array(rowLevels).fill(''),
+      ...[...pivotData.colValues, ''].flatMap(() => subColumns)
+    ]);
+  }
+
+  const mode = getPivotDisplayMode(pivotData);
+  const exportValue = value => getPivotExportValue(value, mode, pivotData.aggregation);
+  const cellValues = (rowKey, colKey) => {
+    if (!comparison) {
+      return [exportValue(getPivotCellValue(pivotData, rowKey, colKey, mode))];
+    }
+    const [valueA, valueB] = ['A', 'B'].map(side => getPivotCellValue(pivotData, rowKey, colKey, mode, side));
+    const difference = getComparisonDifference(valueA, valueB);
+    return [exportValue(valueA), exportValue(valueB), difference === null ? '' : exportValue(difference)];
+  };
+
+  pivotData.rowValues.forEach((rowKey) => {
+    const row = rowKey.split(PIVOT_PATH_SEPARATOR);
+    pivotData.colValues.forEach((colKey) => {
+      row.push(...cellValues(rowKey, colKey));
+    });
+    row.push(...cellValues(rowKey, ''));
+    rows.push(row);
+  });
+
+  rows.push([
+    'Total',
+    ...new Array(rowLevels - 1).fill(''),
+    ...pivotData.colValues.flatMap(colKey => cellValues('', colKey)),
+    ...cellValues('', '')
+  ]);
+  return { rows, headerRowCount: comparison ? colLevels + 1 : colLevels };
+}
+
+function buildDatasheetExportRows() {
+  const prefs = state.columnPreferences[state.database];
+  const visibleFields = prefs.order.filter(f => prefs.visible[f] && state.fields.includes(f));
+  const records = getDatasheetRecords(state.currentFilter.records, visibleFields);
+  const { comparison } = state.currentFilter;
+  const databaseName = record => (getRecordSide(comparison, record) === 'A' ? comparison.nameA : comparison.nameB);
+
+  return {
+    rows: [
+      comparison ? ['Database', ...visibleFields] : visibleFields,
+      ...records.map((record) => {
+        const row = visibleFields.map(field => record[field] || '');
+        return comparison ? [databaseName(record), ...row] : row;
+      })
+    ],
+    headerRowCount: 1
+  };
+}
+
+function toDelimitedText(rows, delimiter) {
+  return rows.map(row => row.map((value) => {
+    const text = String(value);
+    if (delimiter === '\t') {
+      // TSV has no quoting; keep every record on one line
+      return text.replace(/[\t\r\n]+/g, ' ');
+    }
+    if (/[",\r\n]/.test(text)) {
+      return '"' + text.replace(/"/g, '""') + '"';
+    }
+    return text;
+  }).join(delimiter)).join('\r\n');
+}
+
+function exportRows({ rows, headerRowCount }, baseName, format) {
+  if (format === 'xlsx') {
+    downloadBlob(createXlsxBlob(rows, baseName, headerRowCount), `${baseName}.xlsx`);
+    return;
+  }
+
+  const delimiter = format === 'tsv' ? '\t' : ',';
+  const mimeType = format === 'tsv' ? 'text/tab-separated-values' : 'text/csv';
+  // BOM so spreadsheet programs read IPA and other non-ASCII text as UTF-8
+  const blob = new Blob(['\ufeff' + toDelimitedText(rows, delimiter)], { type: `${mimeType};charset=utf-8` });
+  downloadBlob(blob, `${baseName}.${format}`);
+}
+
+function exportPivot(format) {
+  if (!state.pivotData) return;
+  const { aggregation } = state.pivotData;
+  const displayMode = getPivotDisplayMode(state.pivotData);
+  let modeSuffix = displayMode === 'count' ? '' : `_${displayMode}`;
+  if (aggregation.type !== 'count') {
+    modeSuffix = `_${aggregation.type}_${aggregation.field}`;
+  }
+  const baseName = getExportBaseName(`pivot_${state.pivotData.rowFields.join('-')}_by_${state.pivotData.colFields.join('-')}${modeSuffix}`);
+  exportRows(buildPivotExportRows(state.pivotData), baseName, format);
+}
+
+function exportDatasheet(format) {
+  if (!state.currentFilter) return;
+  const { rowKey, colKey, label } = state.currentFilter;
+  const cellName = label !== null ? label : [rowKey, colKey]
+    .map(key => key === '' ? 'all' : key.split(PIVOT_PATH_SEPARATOR).join('-'))
+    .join('_');
+  const baseName = getExportBaseName(`records_${cellName}`);
+  exportRows(buildDatasheetExportRows(), baseName, format);
+}
+
+function getExportBaseName(suffix) {
+  const database = (state.database || 'database').replace(/\.xml$/i, '');
+  return `${database}_${suffix}`.replace(/[\\/:*?"<>|\s]+/g, '_');
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Minimal SpreadsheetML workbook with one sheet, built without external libraries
+function createXlsxBlob(rows, sheetTitle, headerRowCount = 1) {
+  const sheetName = sheetTitle.replace(/[\[\]:*?\/\\]/g, '_').slice(0, 31) || 'Sheet1';
+
+  let sheetData = '';
+  rows.forEach((row, rowIndex) => {
+    sheetData += `<row r="${rowIndex + 1}">`;
+    row.forEach((value, colIndex) => {
+      const ref = `${getColumnLetter(colIndex)}${rowIndex + 1}`;
+      const style = rowIndex < headerRowCount ? ' s="1"' : '';
+      if (typeof value === 'number' && isFinite(value)) {
+        sheetData += `<c r="${ref}"${style}><v>${value}</v></c>`;
+      } else {
+        // Strings stay strings so References like "0012" keep their leading zeros
+        sheetData += `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+      }
+    });
+    sheetData += '</row>';
+  });
+
+  const files = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+      '</workbook>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+      '</Relationships>',
+    'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+      '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+      '</styleSheet>',
+    'xl/worksheets/sheet1.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      `<sheetData>${sheetData}</sheetData>` +
+      '</worksheet>'
+  };
+
+  const encoder = new TextEncoder();
+  const entries = Object.keys(files).map(name => ({ name, data: encoder.encode(files[name]) }));
+  return new Blob([createZip(entries)], {
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  });
+}
+
+function getColumnLetter(index) {
+  let letters = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+function escapeXml(text) {
+  return text
+    // Characters that are not allowed anywhere in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// ===== ZIP Writer (stored, no compression) =====
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createZip(entries) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 file names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true); // version needed
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+// ===== UI Helper Functions =====
+function showNotice(message, type) {
+  const banner = document.getElementById('notice-banner');
+  banner.className = `notice-banner ${type}`;
+  document.getElementById('notice-text').textContent = message;
+}
+
+function hideNotice() {
+  document.getElementById('notice-banner').classList.add('hidden');
+}
+
+function showSection(sectionName) {
+  const sections = ['upload', 'config', 'pivot', 'datasheet', 'diff', 'profile', 'replace'];
+  sections.forEach((section) => {
+    const el = document.getElementById(`${section}-section`);
+    if (el) {
+      if (section === sectionName) {
+        el.classList.remove('hidden');
+      } else {
+        el.classList.add('hidden');
+      }
+    }
+  });
+  state.currentView = sectionName;
+}
+
+function populateFieldSelects() {
+  renderAxisFields('row', []);
+  renderAxisFields('col', []);
+
+  const aggregationField = document.getElementById('aggregation-field');
+  aggregationField.innerHTML = '<option value="">-- Select Field --</option>';
+  state.fields.forEach((field) => {
+    aggregationField.innerHTML += `<option value="${escapeHtml(field)}">${escapeHtml(field)}</option>`;
+  });
+}
+
+function renderAxisFields(axis, selectedFields) {
+  const container = document.getElementById(`${axis}-fields`);
+  const axisName = axis === 'row' ? 'rows' : 'columns';
+  const levels = selectedFields.length > 0 ? selectedFields : [''];
+
+  container.innerHTML = levels.map((selected, index) => `
+    <div class="axis-level">
+      <select class="axis-field-select" data-axis="${axis}" aria-label="Select field for ${axisName}, level ${index + 1}">
+        <option value="">-- Select Field --</option>
+        ${state.fields.map(field =>
+          `<option value="${escapeHtml(field)}" ${field === selected ? 'selected' : ''}>${escapeHtml(field)}</option>`
+        ).join('')}
+      </select>
+      <input type="text" class="axis-delimiter-input" value="${escapeHtml(getFieldDelimiter(selected))}"
+        placeholder="Split by" title="Count each value separated by this text on its own (e.g. , or . or a space)"
+        aria-label="Delimiter that splits values of ${axisName}, level ${index + 1}" ${selected ? '' : 'disabled'}>
+      ${index > 0 ? `<button class="remove-level-btn" data-axis="${axis}" data-index="${index}" title="Remove level">×</button>` : ''}
+    </div>
+  `).join('');
+
+  container.querySelectorAll('.axis-level').forEach((level) => {
+    const select = level.querySelector('.axis-field-select');
+    const delimiterInput = level.querySelector('.axis-delimiter-input');
+
+    select.addEventListener('change', () => {
+      delimiterInput.value = getFieldDelimiter(select.value);
+      delimiterInput.disabled = !select.value;
+      handleFieldChange();
+    });
+    // Not trimmed: a single space is a valid delimiter
+    delimiterInput.addEventListener('input', () => {
+      state.fieldDelimiters[select.value] = delimiterInput.value;
+    });
+  });
+
+  container.querySelectorAll('.remove-level-btn').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const fields = getAxisFields(axis, true);
+      fields.splice(parseInt(btn.dataset.index), 1);
+      renderAxisFields(axis, fields);
+      handleFieldChange();
+    });
+  });
+}
+
+// Fields that hold repeated elements are split on their separator unless
+// another delimiter (or none) was entered
+function getFieldDelimiter(field) {
+  if (!field) return '';
+  if (field in state.fieldDelimiters) return state.fieldDelimiters[field];
+  return field in state.fieldStructure.multiValuedFields ? MULTI_VALUE_SEPARATOR : '';
+}
+
+function getSelectedDelimiters() {
+  const delimiters = {};
+  [...getAxisFields('row'), ...getAxisFields('col')].forEach((field) => {
+    delimiters[field] = getFieldDelimiter(field);
+  });
+  return delimiters;
+}
+
+function getSelectedMatching() {
+  return {
+    caseSensitive: !document.getElementById('axis-ignore-case').checked,
+    normalization: document.getElementById('axis-normalization').value,
+    foldDiacritics: document.getElementById('axis-fold-diacritics').checked
+  };
+}
+
+function getSelectedAggregation() {
+  const type = document.getElementById('aggregation-type').value;
+  const field = AGGREGATIONS[type].needsField
+    ? document.getElementById('aggregation-field').value || null
+    : null;
+  return { type, field };
+}
+
+function getAxisFields(axis, includeEmpty = false) {
+  const values = Array.from(document.querySelectorAll(`#${axis}-fields .axis-field-select`))
+    .map(select => select.value);
+  return includeEmpty ? values : values.filter(value => value);
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  // Quotes too, since the result is also used inside attribute values
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+// ===== Event Handlers =====
+async function showLoadedDatabase(name, records, fields, {
+  size = 0,
+  persist = true,
+  inCore = false,
+  source = null,
+  encoding = null,
+  replacementCount = 0,
+  structure = null,
+  derivedFields = null
+} = {}) {
+  // Update state
+  state.database = name;
+  state.records = records;
+  state.fields = fields;
+  state.baseFields = fields;
+  state.derivedFields = [];
+  state.derivedFieldErrors = {};
+  state.fieldStructure = structure || { nestedFields: {}, multiValuedFields: {} };
+  state.fieldDelimiters = {};
+  state.fieldValuesCache = {};
+  state.filteredRecordsCache = null;
+  state.source = source;
+  state.editLog = [];
+  state.savedEditCount = 0;
+  pivotRequestSeq++; // Results for the previous database are stale
+
+  // Records that didn't come from a core load still have to reach it
+  if (!inCore) {
+    notifyCore('set-records', { records });
+  }
+
+  // A comparison database belongs to the database it was loaded next to
+  if (state.comparison) {
+    state.comparison = null;
+    notifyCore('set-comparison', { records: null });
+  }
+  renderComparisonInfo();
+
+  // Show file info
+  const fileInfo = document.getElementById('file-info');
+  fileInfo.innerHTML = `
+    <p class="success">✓ Loaded: <strong>${escapeHtml(name)}</strong></p>
+    <p>${records.length} records, ${fields.length} fields</p>
+    ${encoding ? `<p>Encoding: ${escapeHtml(describeEncoding(encoding))}</p>` : ''}
+  `;
+  fileInfo.classList.remove('hidden');
+  document.getElementById('file-label-text').textContent = name;
+  renderLoadSummary(replacementCount);
+
+  // Derived fields are stored with the database; a newly loaded file gets
+  // the definitions stored under its name
+  closeDerivedFieldEditor();
+  const definitions = derivedFields || (persist ? await getStoredDerivedFields(name) : []);
+  if (definitions.length > 0) {
+    try {
+      const failed = Object.keys(await applyDerivedFields(definitions));
+      if (failed.length > 0) {
+        showNotice(`Some derived fields could not be computed for this database: ${failed.join(', ')}`, 'error');
+      }
+    } catch (error) {
+      showNotice(`Could not compute the derived fields: ${error.message}`, 'error');
+      console.error('Error deriving fields:', error);
+    }
+  }
+  renderDerivedFields();
+
+  // Populate field selects
+  populateFieldSelects();
+  setPivotBusy(false);
+  renderSavedViews();
+  document.getElementById('views-message').className = 'views-message hidden';
+
+  // Show config section
+  showSection('config');
+
+  // Keep the parsed records for the next session
+  localStorage.setItem('lastDatabase', name);
+  if (persist) {
+    storeDatabase(name, records, fields, size, state.fieldStructure);
+  }
+
+  // A shared configuration link opened before the database was loaded
+  if (state.pendingViewConfig) {
+    applyPendingViewConfig();
+  }
+}
+
+// Warnings and flattened fields of the loaded database, shown above the
+// pivot configuration so they're seen after loading
+function renderLoadSummary(replacementCount) {
+  const container = document.getElementById('load-summary');
+  const { nestedFields, multiValuedFields } = state.fieldStructure;
+  const nested = Object.keys(nestedFields);
+  const multiValued = Object.keys(multiValuedFields);
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  const renderList = counts => `
+    <ul>
+      ${Object.entries(counts).map(([field, count]) => `
+        <li><code>${escapeHtml(field)}</code>: ${plural(count, 'record')}</li>
+      `).join('')}
+    </ul>
+  `;
+
+  let html = '';
+  if (replacementCount > 0) {
+    html += `
+      <p class="warning">⚠ ${replacementCount.toLocaleString()} character${replacementCount === 1 ? '' : 's'}
+        could not be decoded and ${replacementCount === 1 ? 'was' : 'were'} replaced with “\ufffd”.
+        ${ENCODING_HINT}</p>
+    `;
+  }
+  if (nested.length > 0 || multiValued.length > 0) {
+    const parts = [];
+    if (nested.length > 0) parts.push(`${plural(nested.length, 'field')} flattened from nested elements`);
+    if (multiValued.length > 0) parts.push(`${plural(multiValued.length, 'multi-valued field')}`);
+    html += `
+      <details>
+        <summary>${parts.join(', ')}</summary>
+        ${nested.length > 0 ? `
+          <p>Nested elements are named by their path below <code>data_form</code>:</p>
+          ${renderList(nestedFields)}
+        ` : ''}
+        ${multiValued.length > 0 ? `
+          <p>Elements repeated within a record, with values separated by “${escapeHtml(MULTI_VALUE_SEPARATOR)}”:</p>
+          ${renderList(multiValuedFields)}
+        ` : ''}
+      </details>
+    `;
+  }
+
+  container.innerHTML = html;
+  container.classList.toggle('hidden', !html);
+}
+
+async function handleFileSelect(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  await loadDatabaseBlob(file, file.name);
+  event.target.value = '';
+}
+
+function handleFieldChange() {
+  const rowFields = getAxisFields('row');
+  const colFields = getAxisFields('col');
+  const allFields = [...rowFields, ...colFields];
+  const generateBtn = document.getElementById('generate-btn');
+  
+  const aggregation = getSelectedAggregation();
+  const aggregationFieldSelect = document.getElementById('aggregation-field');
+  aggregationFieldSelect.closest('.aggregation-field-wrapper')
+    .classList.toggle('hidden', !AGGREGATIONS[aggregation.type].needsField);
+  const aggregationReady = !AGGREGATIONS[aggregation.type].needsField || aggregation.field;
+  
+  // Each axis needs a field, and no field may be used twice
+  if (rowFields.length > 0 && colFields.length > 0 && new Set(allFields).size === allFields.length && aggregationReady) {
+    generateBtn.disabled = false;
+  } else {
+    generateBtn.disabled = true;
+  }
+}
+
+async function handleGeneratePivot() {
+  const rowFields = getAxisFields('row');
+  const colFields = getAxisFields('col');
+  
+  if (rowFields.length === 0 || colFields.length === 0) return;
+
+  state.pivotConfig.rowFields = rowFields;
+  state.pivotConfig.colFields = colFields;
+  state.pivotConfig.aggregation = getSelectedAggregation();
+  state.pivotConfig.delimiters = getSelectedDelimiters();
+  state.pivotConfig.matching = getSelectedMatching();
+  state.collapsedPivotKeys = { row: new Set(), col: new Set() };
+  
+  // Filters are applied before the pivot table is generated
+  if (await updatePivot()) {
+    showSection('pivot');
+    saveWorkspace();
+  }
+}
+
+// ===== Initialization =====
+function init() {
+  // Register service worker
+  registerServiceWorker();
+
+  // Load saved preferences
+  loadColumnPreferences();
+  loadSavedViews();
+
+  // Set up online/offline indicators
+  updateOnlineStatus();
+  window.addEventListener('online', updateOnlineStatus);
+  window.addEventListener('offline', updateOnlineStatus);
+
+  // File input
+  document.getElementById('file-input').addEventListener('change', handleFileSelect);
+  document.getElementById('cancel-load-btn').addEventListener('click', cancelLoad);
+
+  // Saved views
+  document.getElementById('save-view-btn').addEventListener('click', saveCurrentView);
+  document.getElementById('export-views-btn').addEventListener('click', exportViews);
+  document.getElementById('import-views-btn').addEventListener('click', () => {
+    document.getElementById('import-views-input').click();
+  });
+  document.getElementById('import-views-input').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      importViews(file);
+    }
+    e.target.value = '';
+  });
+
+  // Derived fields
+  document.getElementById('add-derived-field-btn').addEventListener('click', () => openDerivedFieldEditor(-1));
+  document.getElementById('save-derived-field-btn').addEventListener('click', saveDerivedField);
+  document.getElementById('cancel-derived-field-btn').addEventListener('click', closeDerivedFieldEditor);
+  document.getElementById('derived-field-editor').addEventListener('input', updateDerivedFieldEditor);
+  document.getElementById('derived-type').addEventListener('change', handleDerivedSourceChange);
+  document.getElementById('derived-source').addEventListener('change', handleDerivedSourceChange);
+  document.getElementById('add-grouping-rule-btn').addEventListener('click', () => {
+    renderGroupingRules([...readGroupingRules(), { pattern: '', group: '' }]);
+    updateDerivedFieldEditor();
+  });
+  document.getElementById('export-grouping-btn').addEventListener('click', exportValueGroups);
+  document.getElementById('import-grouping-btn').addEventListener('click', () => {
+    document.getElementById('import-grouping-input').click();
+  });
+  document.getElementById('import-grouping-input').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      importValueGroups(file);
+    }
+    e.target.value = '';
+  });
+
+  // Comparison database
+  document.getElementById('load-comparison-btn').addEventListener('click', () => {
+    document.getElementById('comparison-input').click();
+  });
+  document.getElementById('comparison-input').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      loadComparisonDatabase(file);
+    }
+    e.target.value = '';
+  });
+  document.getElementById('remove-comparison-btn').addEventListener('click', removeComparison);
+  document.getElementById('show-diff-btn').addEventListener('click', openRecordDiff);
+
+  // Field profile
+  document.getElementById('field-profile-btn').addEventListener('click', openFieldProfile);
+  document.getElementById('find-replace-btn').addEventListener('click', openFindReplace);
+  document.getElementById('back-from-replace').addEventListener('click', () => {
+    showSection('config');
+  });
+  document.getElementById('preview-replace-btn').addEventListener('click', previewReplacement);
+  document.getElementById('apply-replace-btn').addEventListener('click', () => {
+    applyReplacement();
+  });
+  document.getElementById('replace-find').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') previewReplacement();
+  });
+  document.getElementById('back-from-profile').addEventListener('click', () => {
+    showSection('config');
+  });
+
+  // Record diff
+  document.getElementById('diff-type').addEventListener('change', renderRecordDiff);
+  document.getElementById('diff-field').addEventListener('change', renderRecordDiff);
+  document.getElementById('back-from-diff').addEventListener('click', () => {
+    showSection('config');
+  });
+  document.querySelectorAll('.export-diff-btn').forEach((btn) => {
+    btn.addEventListener('click', () => exportRecordDiff(btn.dataset.format));
+  });
+
+  // Cell value (aggregation)
+  document.getElementById('aggregation-type').addEventListener('change', handleFieldChange);
+  document.getElementById('aggregation-field').addEventListener('change', handleFieldChange);
+
+  // Add axis levels
+  document.querySelectorAll('.add-level-btn').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const axis = btn.dataset.axis;
+      renderAxisFields(axis, [...getAxisFields(axis, true), '']);
+      handleFieldChange();
+    });
+  });
+
+  // Generate button
+  document.getElementById('generate-btn').addEventListener('click', handleGeneratePivot);
+
+  // Filter buttons
+  document.getElementById('add-filter-group-btn').addEventListener('click', () => {
+    createFilterGroup();
+    renderFilterGroups();
+  });
+
+  document.getElementById('clear-filters-btn').addEventListener('click', () => {
+    if (confirm('Clear all filters?')) {
+      clearAllFilters();
+    }
+  });
+
+  document.getElementById('apply-query-btn').addEventListener('click', applyFilterQuery);
+  document.getElementById('show-query-btn').addEventListener('click', showFilterQuery);
+  document.getElementById('filter-query').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      applyFilterQuery();
+    }
+  });
+
+  document.getElementById('query-help-btn').addEventListener('click', () => {
+    document.getElementById('query-modal').classList.remove('hidden');
+  });
+
+  document.getElementById('close-query-modal').addEventListener('click', () => {
+    document.getElementById('query-modal').classList.add('hidden');
+  });
+
+  document.getElementById('query-modal').addEventListener('click', (e) => {
+    if (e.target.id === 'query-modal') {
+      document.getElementById('query-modal').classList.add('hidden');
+    }
+  });
+
+  document.getElementById('regex-help-btn').addEventListener('click', () => {
+    document.getElementById('regex-modal').classList.remove('hidden');
+  });
+
+  document.getElementById('close-regex-modal').addEventListener('click', () => {
+    document.getElementById('regex-modal').classList.add('hidden');
+  });
+
+  // Close modal when clicking outside
+  document.getElementById('regex-modal').addEventListener('click', (e) => {
+    if (e.target.id === 'regex-modal') {
+      document.getElementById('regex-modal').classList.add('hidden');
+    }
+  });
+
+  // Reference modal close button
+  document.getElementById('close-reference-modal').addEventListener('click', () => {
+    document.getElementById('reference-modal').classList.add('hidden');
+  });
 
   // Close reference modal when clicking outside
   document.getElementById('reference-modal').addEventListener('click', (e) => {
@@ -1098,6 +4911,96 @@ function init() {
     showSection('config');
   });
 
+  document.getElementById('back-to-pivot').addEventListener('click', () => {
+    showSection(state.currentFilter ? state.currentFilter.returnTo : 'pivot');
+  });
+
+  // Datasheet controls
+  document.getElementById('datasheet-search').addEventListener('input', (e) => {
+    state.datasheetSearch = e.target.value;
+    renderDatasheet(state.currentFilter.records);
+  });
+
+  document.getElementById('datasheet-body').addEventListener('dblclick', (e) => {
+    const cell = e.target.closest('.editable-cell');
+    if (cell) startCellEdit(cell);
+  });
+
+  document.querySelectorAll('.undo-edit-btn').forEach((button) => {
+    button.addEventListener('click', () => undoLastEdit());
+  });
+
+  document.querySelectorAll('.save-xml-btn').forEach((button) => {
+    button.addEventListener('click', () => saveEditedDatabase());
+  });
+
+  document.getElementById('save-source-input').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) {
+      saveEditedDatabase({ blob: file, encoding: document.getElementById('encoding-select').value });
+    }
+  });
+
+  window.addEventListener('beforeunload', (e) => {
+    if (hasUnsavedEdits()) {
+      e.preventDefault();
+      e.returnValue = '';
+    }
+  });
+
+  document.getElementById('datasheet-references-btn').addEventListener('click', () => {
+    showReferenceModal(state.currentFilter.rowKey, state.currentFilter.colKey);
+  });
+
+  document.getElementById('show-hidden-columns-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    document.getElementById('hidden-columns-dropdown').classList.toggle('hidden');
+  });
+
+  // Close the hidden columns dropdown when clicking elsewhere
+  document.addEventListener('click', (e) => {
+    const dropdown = document.getElementById('hidden-columns-dropdown');
+    if (!dropdown.contains(e.target)) {
+      dropdown.classList.add('hidden');
+    }
+  });
+
+  // Display mode
+  document.getElementById('display-mode').addEventListener('change', (e) => {
+    state.pivotDisplayMode = e.target.value;
+    if (state.pivotData) {
+      renderPivotTable(state.pivotData, state.filteredRecordsCache.length, state.records.length);
+    }
+  });
+
+  // Heatmap shading and charts
+  document.getElementById('heatmap-scale').addEventListener('change', (e) => {
+    state.pivotShading = e.target.value;
+    if (state.pivotData) {
+      renderPivotTable(state.pivotData, state.filteredRecordsCache.length, state.records.length);
+    }
+  });
+
+  document.getElementById('chart-type').addEventListener('change', (e) => {
+    state.pivotChartType = e.target.value;
+    if (state.pivotData) {
+      renderPivotChart(state.pivotData);
+    }
+  });
+
+  document.getElementById('export-chart-svg-btn').addEventListener('click', exportChartSvg);
+  document.getElementById('export-chart-png-btn').addEventListener('click', exportChartPng);
+
+  // Export buttons
+  document.querySelectorAll('.export-pivot-btn').forEach((btn) => {
+    btn.addEventListener('click', () => exportPivot(btn.dataset.format));
+  });
+
+  document.querySelectorAll('.export-datasheet-btn').forEach((btn) => {
+    btn.addEventListener('click', () => exportDatasheet(btn.dataset.format));
+  });
+
   // Update button
   document.getElementById('update-btn').addEventListener('click', () => {
     if (newWorker) {
@@ -1106,6 +5009,34 @@ function init() {
     hideUpdateBanner();
   });
 
+  // Shared configuration links
+  document.getElementById('copy-config-link-btn').addEventListener('click', copyConfigLink);
+  document.getElementById('dismiss-notice').addEventListener('click', hideNotice);
+  loadConfigFromUrl();
+
+  // Stored databases
+  document.getElementById('back-to-upload').addEventListener('click', () => {
+    showSection('upload');
+  });
+
+  // Keep filter edits made since the last pivot when the app is closed
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      saveWorkspace();
+    }
+  });
+
+  renderRecentDatabases();
+
+  // Load data passed in the URL hash, now and whenever the hash changes;
+  // otherwise reopen the database from the last session
+  window.addEventListener('hashchange', loadDatabaseFromHash);
+  if (window.location.hash.replace(/^#/, '')) {
+    loadDatabaseFromHash();
+  } else {
+    restoreLastDatabase();
+  }
+
   console.log('Dekereke Pivot Tables initialized');
 }
 
@@ -0,0 +1,2189 @@
+// Copyright (C) 2025 Seth Johnston
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+//
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Data processing shared by the page (app.js) and the background worker
+// (worker.js): streaming XML extraction, filtering and pivot generation.
+// Nothing in this file touches the DOM or the app state.
+
+// ===== Encoding Detection =====
+// Encodings offered for manual override; any other label from an XML
+// declaration is passed to TextDecoder as is.
+const TEXT_ENCODINGS = {
+  'utf-8': 'UTF-8',
+  'utf-16le': 'UTF-16 LE',
+  'utf-16be': 'UTF-16 BE',
+  'windows-1252': 'Windows-1252 (Latin-1)'
+};
+
+const ENCODING_SOURCES = {
+  bom: 'byte order mark',
+  declaration: 'XML declaration',
+  heuristic: 'file content',
+  manual: 'chosen manually'
+};
+
+const ENCODING_SAMPLE_SIZE = 4096;
+
+function describeEncoding({ encoding, source }) {
+  return `${TEXT_ENCODINGS[encoding] || encoding.toUpperCase()} (${ENCODING_SOURCES[source]})`;
+}
+
+// Returns { encoding, source } for the first bytes of a file. Order: byte
+// order mark, then the zero-byte pattern of UTF-16 text (its declaration
+// can't tell the byte order), then the XML declaration, then a guess.
+function detectXMLEncoding(bytes) {
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return { encoding: 'utf-16le', source: 'bom' };
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return { encoding: 'utf-16be', source: 'bom' };
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return { encoding: 'utf-8', source: 'bom' };
+
+  const utf16 = detectUTF16ByteOrder(bytes);
+  if (utf16) return { encoding: utf16, source: 'heuristic' };
+
+  const declared = getDeclaredEncoding(bytes);
+  if (declared) return { encoding: declared, source: 'declaration' };
+
+  // Without a declaration XML must be UTF-8; fall back to Latin-1 for
+  // legacy files that aren't valid UTF-8
+  return { encoding: isValidUTF8(bytes) ? 'utf-8' : 'windows-1252', source: 'heuristic' };
+}
+
+// ASCII characters (such as the markup) have a zero high byte in UTF-16
+function detectUTF16ByteOrder(bytes) {
+  const length = Math.min(bytes.length, ENCODING_SAMPLE_SIZE) & ~1;
+  if (length === 0) return null;
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < length; i += 2) {
+    if (bytes[i] === 0) evenZeros++;
+    if (bytes[i + 1] === 0) oddZeros++;
+  }
+
+  const pairs = length / 2;
+  if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) return 'utf-16le';
+  if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) return 'utf-16be';
+  return null;
+}
+
+// Reads encoding="…" from the XML declaration. A declaration saying UTF-16 in
+// a file that isn't (e.g. re-saved as UTF-8 by an editor) is ignored.
+function getDeclaredEncoding(bytes) {
+  const head = new TextDecoder('windows-1252').decode(bytes.subarray(0, 200));
+  const match = head.match(/^\s*<\?xml\s[^>]*?\bencoding\s*=\s*["']([A-Za-z0-9._:-]+)["']/);
+  if (!match) return null;
+
+  let encoding;
+  try {
+    encoding = new TextDecoder(match[1]).encoding;
+  } catch (error) {
+    return null; // Unknown label
+  }
+  return encoding.startsWith('utf-16') ? null : encoding;
+}
+
+function isValidUTF8(bytes) {
+  try {
+    // stream: true so that a character cut off at the end of the sample is not an error
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes.subarray(0, ENCODING_SAMPLE_SIZE), { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function countReplacementCharacters(text) {
+  let count = 0;
+  for (let i = text.indexOf('\ufffd'); i !== -1; i = text.indexOf('\ufffd', i + 1)) {
+    count++;
+  }
+  return count;
+}
+
+// ===== Streaming XML Extraction =====
+// Reads <data_form> records without building a DOM. Each direct child element
+// of a data_form becomes a field; text is trimmed like textContent.trim().
+// Nested elements are flattened into fields named by their path below the
+// data_form (`Parent/Child`), and an element that occurs several times in one
+// record becomes a multi-valued field: its values joined in document order.
+// With `locate`, a set of record indices, the parser also notes where those
+// records' elements are in the text so that their values can be rewritten.
+const FIELD_PATH_SEPARATOR = '/';
+const MULTI_VALUE_SEPARATOR = ' | ';
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeXMLEntities(text) {
+  if (!text.includes('&')) return text;
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[A-Za-z][\w.-]*);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+  });
+}
+
+function createXMLRecordParser({ locate = null } = {}) {
+  const records = [];
+  const fieldSet = new Set();
+  const nestedFields = new Map(); // Field path -> number of records
+  const multiValuedFields = new Map(); // Field name -> number of records
+  const childNames = new Set(); // Names of data_form children, in order of appearance
+  const locations = new Map(); // Record index -> element positions
+  const stack = [];
+  let buffer = '';
+  let offset = 0; // Position of buffer[0] in the whole text
+  let line = 1;
+  let record = null; // Field name -> values, while the data_form is open
+  let recordDepth = -1;
+  let recordLocation = null; // Element positions of the open data_form, if located
+  let elements = []; // Open elements inside the current data_form
+
+  function fail(message) {
+    throw new Error(`XML parsing error: ${message} (line ${line})`);
+  }
+
+  // start/end are the text positions of the tag's '<' and just past its '>'
+  function startElement(name, start, end) {
+    if (!record) {
+      if (name === 'data_form') {
+        record = new Map();
+        recordDepth = stack.length;
+        recordLocation = locate && locate.has(records.length)
+          ? { openEnd: end, closeStart: -1, fields: new Map(), children: [] }
+          : null;
+      }
+    } else {
+      if (elements.length > 0) {
+        elements[elements.length - 1].hasChildren = true;
+      } else {
+        childNames.add(name);
+      }
+      elements.push({ name, text: '', hasChildren: false, start, openEnd: end });
+    }
+    stack.push(name);
+  }
+
+  // A self-closing tag ends where it starts: start === end
+  function endElement(name, start, end) {
+    const open = stack.pop();
+    if (open !== name) {
+      fail(open ? `expected </${open}> but found </${name}>` : `unexpected </${name}>`);
+    }
+
+    if (record && elements.length > 0) {
+      const fieldName = elements.map(element => element.name).join(FIELD_PATH_SEPARATOR);
+      const element = elements.pop();
+      const text = element.text.trim();
+      const isField = !element.hasChildren || text;
+
+      // An element with children only becomes a field if it also has text
+      if (isField) {
+        if (!record.has(fieldName)) {
+          record.set(fieldName, []);
+        }
+        record.get(fieldName).push(text);
+      }
+      if (recordLocation) {
+        const position = {
+          name: element.name,
+          start: element.start,
+          openEnd: element.openEnd,
+          closeStart: start,
+          end,
+          selfClosing: end === start,
+          hasChildren: element.hasChildren
+        };
+        if (elements.length === 0) {
+          recordLocation.children.push(position);
+        }
+        if (isField) {
+          if (!recordLocation.fields.has(fieldName)) {
+            recordLocation.fields.set(fieldName, []);
+          }
+          recordLocation.fields.get(fieldName).push(position);
+        }
+      }
+    } else if (record && stack.length === recordDepth) {
+      if (recordLocation) recordLocation.closeStart = start;
+      finishRecord();
+    }
+  }
+
+  function finishRecord() {
+    if (record.size > 0) {
+      const values = {};
+      record.forEach((list, fieldName) => {
+        values[fieldName] = list.join(MULTI_VALUE_SEPARATOR);
+        fieldSet.add(fieldName);
+        if (fieldName.includes(FIELD_PATH_SEPARATOR)) {
+          nestedFields.set(fieldName, (nestedFields.get(fieldName) || 0) + 1);
+        }
+        if (list.length > 1) {
+          multiValuedFields.set(fieldName, (multiValuedFields.get(fieldName) || 0) + 1);
+        }
+      });
+      if (recordLocation) {
+        locations.set(records.length, recordLocation);
+      }
+      records.push(values);
+    }
+    record = null;
+    recordLocation = null;
+  }
+
+  function addText(text) {
+    if (elements.length > 0) {
+      elements[elements.length - 1].text += text;
+    }
+  }
+
+  // Index just past the '>' that closes a tag starting at `start`,
+  // skipping '>' inside quoted attribute values; -1 if not buffered yet
+  function findTagEnd(start) {
+    let quote = null;
+    for (let i = start; i < buffer.length; i++) {
+      const ch = buffer[i];
+      if (quote) {
+        if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '>') {
+        return i + 1;
+      }
+    }
+    return -1;
+  }
+
+  function process(final) {
+    let pos = 0;
+
+    while (pos < buffer.length) {
+      const lt = buffer.indexOf('<', pos);
+      if (lt === -1) {
+        // Text may continue in the next chunk
+        if (final) {
+          if (buffer.slice(pos).trim()) fail('text after the root element');
+          pos = buffer.length;
+        }
+        break;
+      }
+      if (lt > pos) {
+        addText(decodeXMLEntities(buffer.slice(pos, lt)));
+      }
+
+      let end;
+      if (buffer.startsWith('<!--', lt)) {
+        end = buffer.indexOf('-->', lt + 4);
+        end = end === -1 ? -1 : end + 3;
+      } else if (buffer.startsWith('<![CDATA[', lt)) {
+        end = buffer.indexOf(']]>', lt + 9);
+        if (end !== -1) {
+          addText(buffer.slice(lt + 9, end));
+          end += 3;
+        }
+      } else if (buffer.startsWith('<?', lt)) {
+        end = buffer.indexOf('?>', lt + 2);
+        end = end === -1 ? -1 : end + 2;
+      } else if (buffer.startsWith('<!', lt)) {
+        // DOCTYPE, possibly with an internal subset
+        const bracket = buffer.indexOf('[', lt);
+        const close = buffer.indexOf('>', lt);
+        if (bracket !== -1 && (close === -1 || bracket < close)) {
+          end = buffer.indexOf(']>', bracket);
+          end = end === -1 ? -1 : end + 2;
+        } else {
+          end = close === -1 ? -1 : close + 1;
+        }
+      } else {
+        end = findTagEnd(lt + 1);
+        if (end !== -1) {
+          const tag = buffer.slice(lt, end);
+          const match = /^<(\/?)([^\s/>]+)/.exec(tag);
+          if (!match) fail(`malformed tag ${tag.slice(0, 40)}`);
+          if (match[1]) {
+            endElement(match[2], offset + lt, offset + end);
+          } else {
+            startElement(match[2], offset + lt, offset + end);
+            if (tag.endsWith('/>')) {
+              endElement(match[2], offset + end, offset + end);
+            }
+          }
+        }
+      }
+
+      if (end === -1) {
+        if (final) fail('unexpected end of file inside markup');
+        // Wait for the rest of this markup
+        pos = lt;
+        break;
+      }
+      line += countNewlines(buffer, pos, end);
+      pos = end;
+    }
+
+    buffer = buffer.slice(pos);
+    offset += pos;
+  }
+
+  return {
+    write(chunk) {
+      buffer += chunk;
+      process(false);
+    },
+    end() {
+      process(true);
+      if (stack.length > 0) {
+        fail(`unexpected end of file, <${stack[stack.length - 1]}> is not closed`);
+      }
+      return {
+        records,
+        fields: Array.from(fieldSet).sort(),
+        structure: {
+          nestedFields: Object.fromEntries(nestedFields),
+          multiValuedFields: Object.fromEntries(multiValuedFields)
+        },
+        ...(locate ? { locations, childNames: Array.from(childNames) } : {})
+      };
+    },
+    get recordCount() {
+      return records.length;
+    }
+  };
+}
+
+function countNewlines(text, start, end) {
+  let count = 0;
+  for (let i = text.indexOf('\n', start); i !== -1 && i < end; i = text.indexOf('\n', i + 1)) {
+    count++;
+  }
+  return count;
+}
+
+function createCancelError() {
+  const error = new Error('Loading cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Streams a Blob/File through the parser. encoding is 'auto' or a
+// TextDecoder label; onProgress receives { bytesRead, totalBytes, records };
+// isCancelled is checked between chunks.
+async function streamXMLRecords(blob, { encoding = 'auto', onProgress, isCancelled } = {}) {
+  const head = new Uint8Array(await blob.slice(0, ENCODING_SAMPLE_SIZE).arrayBuffer());
+  const detected = encoding === 'auto' ? detectXMLEncoding(head) : { encoding, source: 'manual' };
+  const decoder = new TextDecoder(detected.encoding);
+  const parser = createXMLRecordParser();
+  const reader = blob.stream().getReader();
+  let bytesRead = 0;
+  let replacementCount = 0;
+
+  const write = (text) => {
+    replacementCount += countReplacementCharacters(text);
+    parser.write(text);
+  };
+
+  try {
+    while (true) {
+      if (isCancelled && isCancelled()) {
+        reader.cancel();
+        throw createCancelError();
+      }
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      bytesRead += value.length;
+      write(decoder.decode(value, { stream: true }));
+      if (onProgress) {
+        onProgress({ bytesRead, totalBytes: blob.size, records: parser.recordCount });
+      }
+    }
+
+    write(decoder.decode());
+    return { ...parser.end(), encoding: detected, replacementCount };
+  } catch (error) {
+    // A wrong encoding usually shows up as a parsing error, so name the one used
+    if (error.name !== 'AbortError') {
+      error.message += `. The file was read as ${describeEncoding(detected)}.`;
+    }
+    throw error;
+  }
+}
+
+// ===== Pivot Table Generation =====
+// Each axis can stack several fields. A row or column is identified by its
+// path of values joined with PIVOT_PATH_SEPARATOR; a shorter path (a prefix)
+// identifies a group, and the empty path '' stands for the whole axis.
+const PIVOT_PATH_SEPARATOR = '\u001f';
+
+// delimiters maps a field to the string that splits its values into tokens;
+// a record is counted under each of its tokens on that axis, but only once
+// per cell, so drill-down still lists each source record once.
+// matching: text matching options for the axis values (see getTextNormalizer);
+// by default values are grouped exactly as written
+function generatePivotTable(records, rowFields, colFields, aggregation = { type: 'count', field: null }, delimiters = {}, matching = null) {
+  rowFields = [].concat(rowFields);
+  colFields = [].concat(colFields);
+  const toLabel = createAxisLabeler(records, [...rowFields, ...colFields], delimiters, matching);
+
+  const pivotMap = new Map(); // Leaf cells: `${rowKey}|||${colKey}`
+  const totalsMap = new Map(); // Group and total cells
+  const rowPaths = new Map();
+  const colPaths = new Map();
+  let splitRecordCount = 0; // Records counted in more than one cell
+
+  const addToCell = (map, key, record) => {
+    if (!map.has(key)) {
+      map.set(key, []);
+    }
+    map.get(key).push(record);
+  };
+
+  // Build pivot data structure
+  records.forEach((record) => {
+    const recordRowPaths = expandFieldPaths(record, rowFields, delimiters, toLabel);
+    const recordColPaths = expandFieldPaths(record, colFields, delimiters, toLabel);
+    const cellKeys = new Set();
+    const totalKeys = new Set();
+
+    recordRowPaths.forEach((rowPath) => {
+      const rowKey = rowPath.join(PIVOT_PATH_SEPARATOR);
+      rowPaths.set(rowKey, rowPath);
+
+      recordColPaths.forEach((colPath) => {
+        const colKey = colPath.join(PIVOT_PATH_SEPARATOR);
+        colPaths.set(colKey, colPath);
+        cellKeys.add(`${rowKey}|||${colKey}`);
+
+        // The record also belongs to every enclosing group/total cell
+        getPathPrefixes(rowPath).forEach((rowPrefix) => {
+          getPathPrefixes(colPath).forEach((colPrefix) => {
+            if (rowPrefix === rowKey && colPrefix === colKey) return;
+            totalKeys.add(`${rowPrefix}|||${colPrefix}`);
+          });
+        });
+      });
+    });
+
+    cellKeys.forEach(key => addToCell(pivotMap, key, record));
+    totalKeys.forEach(key => addToCell(totalsMap, key, record));
+    if (cellKeys.size > 1) {
+      splitRecordCount++;
+    }
+  });
+
+  // Sort values naturally, level by level
+  const sortedRows = sortPivotPaths(rowPaths);
+  const sortedCols = sortPivotPaths(colPaths);
+
+  return {
+    pivotMap,
+    totalsMap,
+    rowValues: sortedRows,
+    colValues: sortedCols,
+    rowTree: buildPivotTree(sortedRows, rowPaths),
+    colTree: buildPivotTree(sortedCols, colPaths),
+    rowFields,
+    colFields,
+    rowField: rowFields.join(' > '),
+    colField: colFields.join(' > '),
+    aggregation,
+    delimiters: getUsedDelimiters([...rowFields, ...colFields], delimiters),
+    matching: { caseSensitive: true, normalization: '', foldDiacritics: false, ...matching },
+    splitRecordCount
+  };
+}
+
+// Distinct, trimmed tokens of a field value, each replaced by the label of
+// its group (see createAxisLabeler); '(empty)' if there are none
+function getFieldTokens(record, field, delimiter, toLabel = (fieldName, text) => text) {
+  const value = record[field] || '';
+  if (!delimiter) {
+    return [value ? toLabel(field, value) : '(empty)'];
+  }
+  const tokens = Array.from(new Set(value.split(delimiter).map(token => token.trim()).filter(Boolean)
+    .map(token => toLabel(field, token))));
+  return tokens.length > 0 ? tokens : ['(empty)'];
+}
+
+// Values that are equal under the matching options form one group, labelled
+// by the first of their spellings in natural sort order, as in the filter
+// value lists, so that a label is always a spelling from the data. Groups
+// are per field: a label is a spelling from that field.
+function createAxisLabeler(records, fields, delimiters, matching) {
+  if (!matching || (matching.caseSensitive !== false && !matching.normalization && !matching.foldDiacritics)) {
+    return (field, text) => text;
+  }
+  const normalize = getTextNormalizer({ caseSensitive: true, ...matching });
+  const toKey = (field, text) => `${field}\u0000${normalize(text)}`;
+
+  const labels = new Map(); // Field and normalized value -> label
+  records.forEach((record) => {
+    fields.forEach((field) => {
+      getFieldTokens(record, field, delimiters[field]).forEach((token) => {
+        const key = toKey(field, token);
+        const label = labels.get(key);
+        if (label === undefined || naturalSort(token, label) < 0) {
+          labels.set(key, token);
+        }
+      });
+    });
+  });
+  return (field, text) => labels.get(toKey(field, text));
+}
+
+// All value paths of a record for the fields of one axis (the cartesian
+// product of the tokens of each field)
+function expandFieldPaths(record, fields, delimiters, toLabel) {
+  return fields.reduce((paths, field) => {
+    const tokens = getFieldTokens(record, field, delimiters[field], toLabel);
+    return paths.flatMap(path => tokens.map(token => [...path, token]));
+  }, [[]]);
+}
+
+// The delimiters that apply to the given fields
+function getUsedDelimiters(fields, delimiters) {
+  const result = {};
+  fields.forEach((field) => {
+    if (delimiters[field]) {
+      result[field] = delimiters[field];
+    }
+  });
+  return result;
+}
+
+function getPathPrefixes(path) {
+  const prefixes = [''];
+  for (let i = 1; i <= path.length; i++) {
+    prefixes.push(path.slice(0, i).join(PIVOT_PATH_SEPARATOR));
+  }
+  return prefixes;
+}
+
+function sortPivotPaths(paths) {
+  return Array.from(paths.keys()).sort((a, b) => {
+    const pathA = paths.get(a);
+    const pathB = paths.get(b);
+    for (let i = 0; i < pathA.length; i++) {
+      const result = naturalSort(pathA[i], pathB[i]);
+      if (result !== 0) return result;
+    }
+    return 0;
+  });
+}
+
+function buildPivotTree(sortedKeys, paths) {
+  const root = { key: '', value: null, depth: -1, children: [] };
+  const nodes = new Map([['', root]]);
+
+  sortedKeys.forEach((key) => {
+    const path = paths.get(key);
+    let parent = root;
+    path.forEach((value, depth) => {
+      const nodeKey = path.slice(0, depth + 1).join(PIVOT_PATH_SEPARATOR);
+      let node = nodes.get(nodeKey);
+      if (!node) {
+        node = { key: nodeKey, value, depth, children: [] };
+        nodes.set(nodeKey, node);
+        parent.children.push(node);
+      }
+      parent = node;
+    });
+  });
+
+  return root;
+}
+
+function naturalSort(a, b) {
+  return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// ===== Text Matching =====
+// Options for comparing text, used by filter conditions and pivot axes:
+//   caseSensitive    false compares lowercased text
+//   normalization    '', 'NFC' or 'NFD': Unicode normalization, so that
+//                    composed and decomposed spellings of a character are equal
+//   foldDiacritics   removes diacritics and tone marks: "á", "à" and "a" are equal
+// Filter conditions ignore case unless told otherwise; pivot axes are case-sensitive.
+const NORMALIZATION_FORMS = { '': 'None', NFC: 'NFC (composed)', NFD: 'NFD (decomposed)' };
+
+// Combining marks, Chao tone letters (˥˦˧˨˩) and modifier tone letters
+const FOLDED_MARKS = /[\p{M}\u02e5-\u02e9\ua700-\ua71f]/gu;
+
+const textNormalizers = new Map();
+
+// A function that puts text in the form in which equal text is identical
+function getTextNormalizer({ caseSensitive = false, normalization = '', foldDiacritics = false } = {}) {
+  const form = normalization === 'NFC' || normalization === 'NFD' ? normalization : '';
+  const key = `${Boolean(caseSensitive)}|${form}|${Boolean(foldDiacritics)}`;
+  if (!textNormalizers.has(key)) {
+    textNormalizers.set(key, (text) => {
+      let result = text;
+      if (foldDiacritics) {
+        result = result.normalize('NFD').replace(FOLDED_MARKS, '').normalize(form || 'NFC');
+      } else if (form) {
+        result = result.normalize(form);
+      }
+      return caseSensitive ? result : result.toLowerCase();
+    });
+  }
+  return textNormalizers.get(key);
+}
+
+// ===== Filtering =====
+// Filter groups are combined with OR. A group holds conditions and subgroups
+// (to any depth) and combines them with its logic, AND or OR; negate inverts
+// the group's result: { logic, negate, conditions, subgroups }.
+function filterRecords(records, filterGroups) {
+  if (filterGroups.length === 0) {
+    return records;
+  }
+  
+  // Each filter group is evaluated independently, then combined with OR
+  return records.filter(record => {
+    // At least one filter group must match (OR between groups)
+    return filterGroups.some(group => evaluateFilterGroup(record, group));
+  });
+}
+
+function evaluateFilterGroup(record, group) {
+  const subgroups = group.subgroups || [];
+  let result;
+  if (group.conditions.length === 0 && subgroups.length === 0) {
+    result = true; // Empty group matches everything
+  } else if (group.logic === 'AND') {
+    // All conditions and subgroups must match if AND, or at least one if OR
+    result = group.conditions.every(condition => evaluateCondition(record, condition)) &&
+      subgroups.every(subgroup => evaluateFilterGroup(record, subgroup));
+  } else {
+    result = group.conditions.some(condition => evaluateCondition(record, condition)) ||
+      subgroups.some(subgroup => evaluateFilterGroup(record, subgroup));
+  }
+  return group.negate ? !result : result;
+}
+
+// A condition's text matching options are caseSensitive, normalization and
+// foldDiacritics, see getTextNormalizer
+function evaluateCondition(record, condition) {
+  const fieldValue = String(record[condition.field] || '');
+  const normalize = getTextNormalizer(condition);
+  let result;
+  
+  // Handle multi-select operator (in-list)
+  if (condition.operator === 'in-list') {
+    if (!condition.values || condition.values.length === 0) {
+      result = true; // Empty list matches everything
+    } else {
+      const normalizedValue = normalize(fieldValue);
+      result = condition.values.some(val => normalize(String(val)) === normalizedValue);
+    }
+  }
+  // Handle other operators
+  else {
+    const testValue = String(condition.value);
+    
+    if (!testValue && condition.operator !== 'empty' && condition.operator !== 'not-empty') {
+      result = true; // Empty condition matches everything
+    } else {
+      try {
+        if (condition.useRegex) {
+          // Case is left to the i flag, as lowercasing would change escapes like \D
+          const normalizeForm = getTextNormalizer({ ...condition, caseSensitive: true });
+          const pattern = normalizeForm(testValue);
+          const flags = condition.caseSensitive ? '' : 'i';
+          const text = normalizeForm(fieldValue);
+          const regex = new RegExp(pattern, flags);
+          switch (condition.operator) {
+            case 'equals':
+            case 'contains':
+              result = regex.test(text);
+              break;
+            case 'not-equals':
+            case 'not-contains':
+              result = !regex.test(text);
+              break;
+            case 'starts-with':
+              result = new RegExp('^' + pattern, flags).test(text);
+              break;
+            case 'ends-with':
+              result = new RegExp(pattern + '$', flags).test(text);
+              break;
+            default:
+              result = true;
+          }
+        } else {
+          const fieldLower = normalize(fieldValue);
+          const testLower = normalize(testValue);
+          
+          switch (condition.operator) {
+            case 'equals':
+              result = fieldLower === testLower;
+              break;
+            case 'not-equals':
+              result = fieldLower !== testLower;
+              break;
+            case 'contains':
+              result = fieldLower.includes(testLower);
+              break;
+            case 'not-contains':
+              result = !fieldLower.includes(testLower);
+              break;
+            case 'starts-with':
+              result = fieldLower.startsWith(testLower);
+              break;
+            case 'ends-with':
+              result = fieldLower.endsWith(testLower);
+              break;
+            case 'empty':
+              result = fieldValue === '';
+              break;
+            case 'not-empty':
+              result = fieldValue !== '';
+              break;
+            default:
+              result = true;
+          }
+        }
+      } catch (error) {
+        console.error('Filter evaluation error:', error);
+        result = false; // Invalid regex or other error
+      }
+    }
+  }
+  
+  // Apply negation if NOT is checked
+  return condition.negate ? !result : result;
+}
+
+// ===== Filter Queries =====
+// A text form of the filter groups, e.g.
+//   SyllableProfile ~ /^CV\./ AND NOT Gloss = "" OR Category in ("n", "v")
+// Conditions: Field = value, != (not equals), ~ (contains), !~ (not contains),
+// ^= (starts with), $= (ends with), where value is "text" or /regex/;
+// Field = "" and Field != "" test for an empty value; Field in ("a", "b").
+// Field names with other characters than letters, digits and _ go in
+// brackets: [Sense/Definition]. NOT binds tighter than AND, AND tighter than
+// OR, and parentheses group. Each part between top-level ORs becomes a
+// filter group, and each parenthesized part within it a subgroup.
+// Text matching options follow a value or the ) of a list without a space:
+// c (case-sensitive), n (NFC), d (NFD), f (ignore diacritics and tone marks),
+// e.g. Form = "ba"nf or Category in ("n", "v")c
+const QUERY_OPERATORS = {
+  '=': 'equals',
+  '!=': 'not-equals',
+  '~': 'contains',
+  '!~': 'not-contains',
+  '^=': 'starts-with',
+  '$=': 'ends-with'
+};
+const QUERY_KEYWORDS = ['and', 'or', 'not', 'in'];
+const QUERY_MATCH_OPTIONS = {
+  c: { caseSensitive: true },
+  n: { normalization: 'NFC' },
+  d: { normalization: 'NFD' },
+  f: { foldDiacritics: true }
+};
+
+// The text matching options written as letters, e.g. 'cn'
+function parseQueryMatchOptions(letters, pos) {
+  const options = { caseSensitive: false, normalization: '', foldDiacritics: false };
+  Array.from(letters).forEach((letter, offset) => {
+    const option = QUERY_MATCH_OPTIONS[letter];
+    if (!option) {
+      throw createExpressionError(`Unknown option "${letter}"; use c (case-sensitive), n (NFC), d (NFD) or f (ignore diacritics)`, pos + offset);
+    }
+    if (option.normalization && options.normalization && options.normalization !== option.normalization) {
+      throw createExpressionError('Use only one of the options n (NFC) and d (NFD)', pos + offset);
+    }
+    Object.assign(options, option);
+  });
+  return options;
+}
+
+function formatQueryMatchOptions(condition) {
+  return (condition.caseSensitive ? 'c' : '') +
+    (condition.normalization === 'NFC' ? 'n' : '') +
+    (condition.normalization === 'NFD' ? 'd' : '') +
+    (condition.foldDiacritics ? 'f' : '');
+}
+
+// Letters right after a value are its matching options, unless they are a
+// keyword as in "a"AND
+function readQueryOptionLetters(text, pos) {
+  const letters = /^[A-Za-z]*/.exec(text.slice(pos))[0];
+  return QUERY_KEYWORDS.includes(letters.toLowerCase()) ? '' : letters;
+}
+
+function tokenizeFilterQuery(text) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < text.length) {
+    const ch = text[pos];
+    if (/\s/.test(ch)) {
+      pos++;
+      continue;
+    }
+
+    const start = pos;
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      pos++;
+      while (pos < text.length && text[pos] !== ch) {
+        if (text[pos] === '\\' && pos + 1 < text.length) pos++;
+        value += text[pos++];
+      }
+      if (pos >= text.length) throw createExpressionError('Unterminated text', start);
+      pos++;
+      const options = readQueryOptionLetters(text, pos);
+      tokens.push({ type: 'string', value, options, optionsPos: pos, pos: start });
+      pos += options.length;
+    } else if (ch === '/') {
+      // The pattern is kept as written, escapes included; \/ is a slash
+      let value = '';
+      pos++;
+      while (pos < text.length && text[pos] !== '/') {
+        if (text[pos] === '\\' && pos + 1 < text.length) {
+          value += text[pos++];
+        }
+        value += text[pos++];
+      }
+      if (pos >= text.length) throw createExpressionError('Unterminated regex', start);
+      pos++;
+      const options = readQueryOptionLetters(text, pos);
+      tokens.push({ type: 'regex', value, options, optionsPos: pos, pos: start });
+      pos += options.length;
+    } else if (ch === '[') {
+      const end = text.indexOf(']', pos);
+      if (end === -1) throw createExpressionError('Missing ] after field name', start);
+      tokens.push({ type: 'field', value: text.slice(pos + 1, end).trim(), pos: start });
+      pos = end + 1;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(pos))[0];
+      const keyword = word.toLowerCase();
+      tokens.push(QUERY_KEYWORDS.includes(keyword)
+        ? { type: 'operator', value: keyword, pos: start }
+        : { type: 'field', value: word, pos: start });
+      pos += word.length;
+    } else {
+      const match = /^(?:!=|!~|\^=|\$=|[=~(),])/.exec(text.slice(pos));
+      if (!match) throw createExpressionError(`Unexpected "${ch}"`, start);
+      tokens.push({ type: 'operator', value: match[0], pos: start });
+      pos += match[0].length;
+    }
+  }
+
+  tokens.push({ type: 'end', pos: text.length });
+  return tokens;
+}
+
+// Filter groups in the stored form ({ logic, conditions }, without ids).
+// fields, if given, are the names a condition may use.
+function parseFilterQuery(text, fields = null) {
+  if (!text.trim()) return [];
+  const tokens = tokenizeFilterQuery(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = value => peek().type === 'operator' && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw createExpressionError(`Expected "${value}"`, peek().pos);
+    }
+    index++;
+  };
+  const describe = token => (token.type === 'end' ? 'end of query' : `"${text.slice(token.pos).split(/\s/)[0]}"`);
+
+  function parseList(operator, parseItem) {
+    const items = [parseItem()];
+    while (isOperator(operator)) {
+      index++;
+      items.push(parseItem());
+    }
+    return items.length === 1 ? items[0] : { type: operator, items };
+  }
+
+  const parseOr = () => parseList('or', parseAnd);
+  const parseAnd = () => parseList('and', parseNot);
+
+  function parseNot() {
+    if (isOperator('not')) {
+      index++;
+      return { type: 'not', item: parseNot() };
+    }
+    if (isOperator('(')) {
+      index++;
+      // () is an empty group, which matches every record
+      if (isOperator(')')) {
+        index++;
+        return { type: 'and', items: [], parenthesized: true };
+      }
+      const node = parseOr();
+      expect(')');
+      return { ...node, parenthesized: true };
+    }
+    return parseCondition();
+  }
+
+  function parseCondition() {
+    const fieldToken = tokens[index++];
+    if (fieldToken.type !== 'field') {
+      throw createExpressionError(`Expected a field name but found ${describe(fieldToken)}`, fieldToken.pos);
+    }
+    const field = fieldToken.value;
+    if (fields && !fields.includes(field)) {
+      throw createExpressionError(`Unknown field "${field}"`, fieldToken.pos);
+    }
+    const condition = {
+      field, operator: 'equals', value: '', values: [], useRegex: false, negate: false,
+      caseSensitive: false, normalization: '', foldDiacritics: false
+    };
+
+    // Field in (...) and Field not in (...)
+    if (isOperator('not') || isOperator('in')) {
+      if (isOperator('not')) {
+        index++;
+        condition.negate = true;
+      }
+      expect('in');
+      expect('(');
+      condition.operator = 'in-list';
+      while (!isOperator(')')) {
+        if (condition.values.length > 0) expect(',');
+        const token = tokens[index++];
+        if (token.type !== 'string') {
+          throw createExpressionError(`Expected a quoted value but found ${describe(token)}`, token.pos);
+        }
+        if (token.options) {
+          throw createExpressionError('The options of a list go after its closing parenthesis', token.optionsPos);
+        }
+        condition.values.push(token.value);
+      }
+      const closing = tokens[index++];
+      // Options right after the ), which would otherwise read as a field name
+      const optionsToken = peek();
+      if (optionsToken.type === 'field' && optionsToken.pos === closing.pos + 1 && text[optionsToken.pos] !== '[') {
+        index++;
+        Object.assign(condition, parseQueryMatchOptions(optionsToken.value, optionsToken.pos));
+      }
+      return { type: 'condition', condition };
+    }
+
+    const operatorToken = tokens[index++];
+    if (operatorToken.type !== 'operator' || !QUERY_OPERATORS[operatorToken.value]) {
+      throw createExpressionError(`Expected an operator (=, !=, ~, !~, ^=, $= or in) but found ${describe(operatorToken)}`, operatorToken.pos);
+    }
+    const valueToken = tokens[index++];
+    if (valueToken.type === 'regex') {
+      if (!valueToken.value) throw createExpressionError('The regex is empty', valueToken.pos);
+      try {
+        createRegex(valueToken.value);
+      } catch (error) {
+        throw createExpressionError(error.message, valueToken.pos);
+      }
+      condition.useRegex = true;
+    } else if (valueToken.type !== 'string') {
+      throw createExpressionError(`Expected "text" or /regex/ but found ${describe(valueToken)}`, valueToken.pos);
+    }
+    condition.operator = QUERY_OPERATORS[operatorToken.value];
+    condition.value = valueToken.value;
+    Object.assign(condition, parseQueryMatchOptions(valueToken.options, valueToken.optionsPos));
+
+    if (valueToken.type === 'string' && valueToken.value === '') {
+      if (condition.operator === 'equals') condition.operator = 'empty';
+      if (condition.operator === 'not-equals') condition.operator = 'not-empty';
+    }
+    return { type: 'condition', condition };
+  }
+
+  const tree = parseOr();
+  if (peek().type !== 'end') {
+    throw createExpressionError(`Expected AND, OR or the end of the query but found ${describe(peek())}`, peek().pos);
+  }
+
+  const items = tree.type === 'or' && !tree.parenthesized ? tree.items : [tree];
+  return items.map(item => toFilterGroup(item, false));
+}
+
+// A NOT in front of a condition goes to the condition, in front of
+// parentheses to the subgroup. A parenthesized condition is a subgroup too.
+function toFilterGroup(node, negate) {
+  if (node.type === 'not') {
+    return toFilterGroup(node.item, !negate);
+  }
+  const group = { logic: node.type === 'or' ? 'OR' : 'AND', negate: false, conditions: [], subgroups: [] };
+  if (node.type === 'condition' && !node.parenthesized) {
+    group.conditions.push({ ...node.condition, negate: node.condition.negate !== negate });
+    return group;
+  }
+
+  group.negate = negate;
+  const children = node.type === 'condition' ? [{ ...node, parenthesized: false }] : node.items;
+  children.forEach((child) => {
+    let item = child;
+    let negated = false;
+    while (item.type === 'not') {
+      item = item.item;
+      negated = !negated;
+    }
+    if (item.type === 'condition' && !item.parenthesized) {
+      group.conditions.push({ ...item.condition, negate: item.condition.negate !== negated });
+    } else {
+      group.subgroups.push(toFilterGroup(item, negated));
+    }
+  });
+  return group;
+}
+
+// The query for filter groups; parseFilterQuery gives the same groups back.
+// Conditions that match every record, like those without a value, are
+// written as Field ~ "". Empty groups, which also match every record (or
+// none if negated), are written as ().
+function formatFilterQuery(filterGroups) {
+  return filterGroups
+    .map(group => formatQueryGroup(group, false))
+    .join(' OR ');
+}
+
+// Subgroups, negated groups and top-level OR groups of several items are
+// parenthesized
+function formatQueryGroup(group, isSubgroup) {
+  const items = [
+    ...group.conditions.map(formatQueryCondition),
+    ...(group.subgroups || []).map(subgroup => formatQueryGroup(subgroup, true))
+  ];
+  if (items.length === 0) return group.negate ? 'NOT ()' : '()';
+  const text = items.join(group.logic === 'OR' ? ' OR ' : ' AND ');
+  if (group.negate) return `NOT (${text})`;
+  return isSubgroup || (group.logic === 'OR' && items.length > 1) ? `(${text})` : text;
+}
+
+function formatQueryCondition(condition) {
+  const field = /^[A-Za-z_][A-Za-z0-9_]*$/.test(condition.field) && !QUERY_KEYWORDS.includes(condition.field.toLowerCase())
+    ? condition.field
+    : `[${condition.field}]`;
+  const not = condition.negate ? 'NOT ' : '';
+  const quote = value => `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+  const symbol = Object.keys(QUERY_OPERATORS).find(key => QUERY_OPERATORS[key] === condition.operator);
+
+  switch (condition.operator) {
+    case 'in-list':
+      return `${not}${field} in (${(condition.values || []).map(quote).join(', ')})${formatQueryMatchOptions(condition)}`;
+    case 'empty':
+      return `${not}${field} = ""`;
+    case 'not-empty':
+      return `${not}${field} != ""`;
+    default: {
+      const value = String(condition.value || '');
+      if (!symbol || !value) {
+        return `${not}${field} ~ ""`;
+      }
+      // A slash not already escaped would end the regex
+      const formatted = condition.useRegex ? `/${value.replace(/(\\.)|\//g, (match, escaped) => escaped || '\\/')}/` : quote(value);
+      return `${not}${field} ${symbol} ${formatted}${formatQueryMatchOptions(condition)}`;
+    }
+  }
+}
+
+// ===== Derived Fields =====
+// A derived field computes a value for every record from other fields:
+//   { name, type: 'regex', source, pattern, flags, group }    capture group of a match
+//   { name, type: 'split', source, delimiter, index }         nth token (1-based, negative from the end)
+//   { name, type: 'expression', expression }                  see compileExpression
+//   { name, type: 'grouping', source, assignments, rules, otherwise }
+//                                                             values mapped into groups, see getValueGroup
+// Definitions are applied in order, so later ones can use earlier ones.
+const DERIVED_FIELD_TYPES = {
+  regex: 'Regex capture',
+  split: 'Split and index',
+  expression: 'Expression',
+  grouping: 'Value groups'
+};
+
+// Returns record => string. Throws if the definition is invalid.
+function compileDerivedField(definition, fields) {
+  const requireSource = () => {
+    if (!fields.includes(definition.source)) {
+      throw new Error(`Unknown field: ${definition.source || '(none)'}`);
+    }
+  };
+
+  switch (definition.type) {
+    case 'regex': {
+      requireSource();
+      const regex = createRegex(definition.pattern, definition.flags);
+      const group = parseCaptureGroup(definition.group, regex);
+      return record => extractMatch(record[definition.source] || '', regex, group);
+    }
+    case 'split': {
+      requireSource();
+      const index = parseInt(definition.index, 10);
+      if (!index) {
+        throw new Error('The index must be a whole number other than 0 (1 = first, -1 = last).');
+      }
+      return record => splitAndIndex(record[definition.source] || '', definition.delimiter || '', index);
+    }
+    case 'expression': {
+      const evaluate = compileExpression(definition.expression || '', fields);
+      return record => formatExpressionValue(evaluate(record));
+    }
+    case 'grouping': {
+      requireSource();
+      const grouping = compileValueGrouping(definition);
+      return record => getValueGroup(record[definition.source] || '', grouping);
+    }
+    default:
+      throw new Error(`Unknown derived field type: ${definition.type}`);
+  }
+}
+
+function createRegex(pattern, flags = '') {
+  if (!pattern) {
+    throw new Error('The pattern is empty.');
+  }
+  // The SyntaxError message names the problem ("Invalid regular expression: …")
+  return new RegExp(pattern, (flags || '').replace(/[gy]/g, ''));
+}
+
+// Group number or name; by default the first group, or the whole match if
+// the pattern has no groups
+function parseCaptureGroup(group, regex) {
+  const text = String(group === undefined || group === null ? '' : group).trim();
+  if (text === '') {
+    return new RegExp(`${regex.source}|`, regex.flags).exec('').length > 1 ? 1 : 0;
+  }
+  return /^\d+$/.test(text) ? parseInt(text, 10) : text;
+}
+
+function extractMatch(value, regex, group) {
+  const match = regex.exec(value);
+  if (!match) return '';
+  const captured = typeof group === 'number' ? match[group] : (match.groups || {})[group];
+  return captured === undefined ? '' : captured;
+}
+
+// An empty delimiter splits into characters
+function splitAndIndex(value, delimiter, index) {
+  const tokens = splitTokens(value, delimiter);
+  const token = index > 0 ? tokens[index - 1] : tokens[tokens.length + index];
+  return token === undefined ? '' : token;
+}
+
+function splitTokens(value, delimiter) {
+  if (value === '') return [];
+  return delimiter === '' ? Array.from(value) : value.split(delimiter).map(token => token.trim());
+}
+
+// Combining marks, including tone marks, removed after canonical decomposition
+function stripDiacritics(value) {
+  return value.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC');
+}
+
+function compileValueGrouping({ assignments = {}, rules = [], otherwise = '' }) {
+  return {
+    assignments,
+    rules: rules.map((rule, index) => {
+      try {
+        return { regex: createRegex(rule.pattern), group: rule.group || '' };
+      } catch (error) {
+        throw new Error(`Rule ${index + 1}: ${error.message}`);
+      }
+    }),
+    otherwise
+  };
+}
+
+// A value's group: its manual assignment, else the group of the first rule
+// that matches, else the "everything else" group. Without one the value is
+// kept as it is; empty values stay empty.
+function getValueGroup(value, { assignments, rules, otherwise }) {
+  if (value === '') return '';
+  if (Object.prototype.hasOwnProperty.call(assignments, value) && assignments[value] !== '') {
+    return assignments[value];
+  }
+  const rule = rules.find(candidate => candidate.regex.test(value));
+  if (rule) return rule.group;
+  return otherwise || value;
+}
+
+// Runs the definitions against the records, storing each derived value on the
+// record. Returns { values: { name: [...] }, errors: { name: message } };
+// a definition with an error is skipped. reservedFields are the fields of the
+// data that a definition may not replace, e.g. when definitions stored for
+// one file are applied to another file with the same name.
+function deriveFields(records, definitions, baseFields, reservedFields = baseFields) {
+  const fields = [...baseFields];
+  const values = {};
+  const errors = {};
+
+  definitions.forEach((definition) => {
+    if (reservedFields.includes(definition.name)) {
+      errors[definition.name] = `There is already a field named "${definition.name}".`;
+      return;
+    }
+    let derive;
+    try {
+      derive = compileDerivedField(definition, fields);
+    } catch (error) {
+      errors[definition.name] = error.message;
+      records.forEach((record) => {
+        delete record[definition.name];
+      });
+      return;
+    }
+
+    const list = values[definition.name] = new Array(records.length);
+    records.forEach((record, index) => {
+      let value;
+      try {
+        value = derive(record);
+      } catch (error) {
+        value = ''; // e.g. a regex built from a field value that isn't valid
+      }
+      record[definition.name] = list[index] = value;
+    });
+    fields.push(definition.name);
+  });
+
+  return { values, errors };
+}
+
+// ===== Expression Language =====
+// A small, side-effect-free language for derived fields. Compiled into
+// closures; nothing is passed to eval.
+//   Values:    "text" or 'text', numbers, true/false, field names
+//              (FieldName, or [Field name] for names with other characters)
+//   Operators: & (join text), + - * / (numbers), = != < > <= >=, and, or, not
+//   Functions: see EXPRESSION_FUNCTIONS, e.g. split(SyllableProfile, ".", 1)
+// Text positions in functions are 1-based; negative positions count from the end.
+const EXPRESSION_FUNCTIONS = {
+  lower: [1, 1, s => toText(s).toLowerCase()],
+  upper: [1, 1, s => toText(s).toUpperCase()],
+  trim: [1, 1, s => toText(s).trim()],
+  length: [1, 1, s => Array.from(toText(s)).length],
+  left: [2, 2, (s, n) => Array.from(toText(s)).slice(0, Math.max(0, toNumber(n))).join('')],
+  right: [2, 2, (s, n) => {
+    const count = Math.max(0, toNumber(n));
+    return count === 0 ? '' : Array.from(toText(s)).slice(-count).join('');
+  }],
+  substr: [2, 3, (s, start, length) => {
+    const chars = Array.from(toText(s));
+    const from = toNumber(start) > 0 ? toNumber(start) - 1 : Math.max(0, chars.length + toNumber(start));
+    return chars.slice(from, length === undefined ? undefined : from + Math.max(0, toNumber(length))).join('');
+  }],
+  split: [3, 3, (s, delimiter, index) => splitAndIndex(toText(s), toText(delimiter), toNumber(index) || 0)],
+  count: [2, 2, (s, delimiter) => splitTokens(toText(s), toText(delimiter)).filter(Boolean).length],
+  match: [2, 3, (s, pattern, group) => {
+    const regex = getCachedRegex(pattern, '');
+    return extractMatch(toText(s), regex, parseCaptureGroup(group, regex));
+  }],
+  replace: [3, 3, (s, pattern, replacement) => toText(s).replace(getCachedRegex(pattern, 'g'), toText(replacement))],
+  contains: [2, 2, (s, part) => toText(s).includes(toText(part))],
+  startswith: [2, 2, (s, part) => toText(s).startsWith(toText(part))],
+  endswith: [2, 2, (s, part) => toText(s).endsWith(toText(part))],
+  stripdiacritics: [1, 1, s => stripDiacritics(toText(s))],
+  nfc: [1, 1, s => toText(s).normalize('NFC')],
+  nfd: [1, 1, s => toText(s).normalize('NFD')],
+  number: [1, 1, s => toNumber(s)],
+  coalesce: [1, Infinity, (...values) => {
+    const found = values.find(value => toText(value) !== '');
+    return found === undefined ? '' : found;
+  }],
+  if: [3, 3, null] // Evaluated lazily, see compileCall
+};
+
+const regexCache = new Map();
+
+function getCachedRegex(pattern, flags) {
+  const key = `${flags}/${toText(pattern)}`;
+  if (!regexCache.has(key)) {
+    if (regexCache.size > 100) regexCache.clear();
+    regexCache.set(key, createRegex(toText(pattern), flags));
+  }
+  return regexCache.get(key);
+}
+
+function toText(value) {
+  if (typeof value === 'number') return formatExpressionValue(value);
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  return value === undefined || value === null ? '' : String(value);
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const text = toText(value).trim();
+  return text === '' ? NaN : Number(text);
+}
+
+function isTruthy(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0 && !Number.isNaN(value);
+  return toText(value) !== '' && toText(value) !== 'false';
+}
+
+function formatExpressionValue(value) {
+  if (typeof value === 'number') {
+    // NaN (e.g. a number from an empty field) and division by zero give no value
+    return Number.isFinite(value) ? String(Number(value.toPrecision(12))) : '';
+  }
+  return toText(value);
+}
+
+function createExpressionError(message, position) {
+  const error = new Error(`${message} at position ${position + 1}`);
+  error.position = position;
+  return error;
+}
+
+function tokenizeExpression(text) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < text.length) {
+    const ch = text[pos];
+    if (/\s/.test(ch)) {
+      pos++;
+      continue;
+    }
+
+    const start = pos;
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      pos++;
+      while (pos < text.length && text[pos] !== ch) {
+        if (text[pos] === '\\' && pos + 1 < text.length) pos++;
+        value += text[pos++];
+      }
+      if (pos >= text.length) throw createExpressionError('Unterminated text', start);
+      pos++;
+      tokens.push({ type: 'string', value, pos: start });
+    } else if (ch === '[') {
+      const end = text.indexOf(']', pos);
+      if (end === -1) throw createExpressionError('Missing ] after field name', start);
+      tokens.push({ type: 'field', value: text.slice(pos + 1, end).trim(), pos: start });
+      pos = end + 1;
+    } else if (/[0-9.]/.test(ch)) {
+      const match = /^(?:\d+\.?\d*|\.\d+)/.exec(text.slice(pos));
+      if (!match) throw createExpressionError(`Unexpected "${ch}"`, start);
+      tokens.push({ type: 'number', value: Number(match[0]), pos: start });
+      pos += match[0].length;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(pos));
+      const word = match[0];
+      const keyword = word.toLowerCase();
+      if (['and', 'or', 'not'].includes(keyword)) {
+        tokens.push({ type: 'operator', value: keyword, pos: start });
+      } else if (keyword === 'true' || keyword === 'false') {
+        tokens.push({ type: 'boolean', value: keyword === 'true', pos: start });
+      } else {
+        tokens.push({ type: 'name', value: word, pos: start });
+      }
+      pos += word.length;
+    } else {
+      const match = /^(?:<=|>=|!=|<>|[=<>&+\-*/(),])/.exec(text.slice(pos));
+      if (!match) throw createExpressionError(`Unexpected "${ch}"`, start);
+      tokens.push({ type: 'operator', value: match[0] === '<>' ? '!=' : match[0], pos: start });
+      pos += match[0].length;
+    }
+  }
+
+  tokens.push({ type: 'end', pos: text.length });
+  return tokens;
+}
+
+// Binary operators by precedence, lowest first
+const EXPRESSION_OPERATORS = [
+  ['or'],
+  ['and'],
+  ['=', '!=', '<', '>', '<=', '>='],
+  ['&'],
+  ['+', '-'],
+  ['*', '/']
+];
+
+function compileExpression(text, fields) {
+  if (!text.trim()) {
+    throw new Error('The expression is empty.');
+  }
+  const tokens = tokenizeExpression(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (value) => peek().type === 'operator' && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw createExpressionError(`Expected "${value}"`, peek().pos);
+    }
+    index++;
+  };
+
+  function parseBinary(level) {
+    if (level === EXPRESSION_OPERATORS.length) {
+      return parseUnary();
+    }
+    // not binds looser than comparisons: not A = B means not (A = B)
+    if (level === 2 && isOperator('not')) {
+      index++;
+      const operand = parseBinary(level);
+      return record => !isTruthy(operand(record));
+    }
+
+    let left = parseBinary(level + 1);
+    while (peek().type === 'operator' && EXPRESSION_OPERATORS[level].includes(peek().value)) {
+      const operator = tokens[index++].value;
+      left = combine(operator, left, parseBinary(level + 1));
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (isOperator('-')) {
+      index++;
+      const operand = parseUnary();
+      return record => -toNumber(operand(record));
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[index++];
+    switch (token.type) {
+      case 'string':
+      case 'number':
+      case 'boolean':
+        return () => token.value;
+      case 'field':
+        return compileFieldReference(token);
+      case 'name':
+        if (isOperator('(')) {
+          index++;
+          return compileCall(token);
+        }
+        return compileFieldReference(token);
+      case 'operator':
+        if (token.value === '(') {
+          const inner = parseBinary(0);
+          expect(')');
+          return inner;
+        }
+        throw createExpressionError(`Unexpected "${token.value}"`, token.pos);
+      default:
+        throw createExpressionError('Unexpected end of expression', token.pos);
+    }
+  }
+
+  function compileFieldReference(token) {
+    if (!fields.includes(token.value)) {
+      throw createExpressionError(`Unknown field "${token.value}"`, token.pos);
+    }
+    return record => record[token.value] || '';
+  }
+
+  function compileCall(token) {
+    const name = token.value.toLowerCase();
+    const spec = EXPRESSION_FUNCTIONS[name];
+    if (!spec) {
+      throw createExpressionError(`Unknown function "${token.value}"`, token.pos);
+    }
+
+    const args = [];
+    if (!isOperator(')')) {
+      args.push(parseBinary(0));
+      while (isOperator(',')) {
+        index++;
+        args.push(parseBinary(0));
+      }
+    }
+    expect(')');
+
+    const [min, max, fn] = spec;
+    if (args.length < min || args.length > max) {
+      const expected = min === max ? min : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+      throw createExpressionError(`${token.value}() takes ${expected} argument${min === 1 && max === 1 ? '' : 's'}`, token.pos);
+    }
+
+    if (name === 'if') {
+      const [condition, then, otherwise] = args;
+      return record => (isTruthy(condition(record)) ? then(record) : otherwise(record));
+    }
+    return record => fn(...args.map(arg => arg(record)));
+  }
+
+  const evaluate = parseBinary(0);
+  if (peek().type !== 'end') {
+    throw createExpressionError(`Unexpected "${peek().value}"`, peek().pos);
+  }
+  return evaluate;
+}
+
+function combine(operator, left, right) {
+  switch (operator) {
+    case 'or': return record => isTruthy(left(record)) || isTruthy(right(record));
+    case 'and': return record => isTruthy(left(record)) && isTruthy(right(record));
+    case '&': return record => toText(left(record)) + toText(right(record));
+    case '+': return record => toNumber(left(record)) + toNumber(right(record));
+    case '-': return record => toNumber(left(record)) - toNumber(right(record));
+    case '*': return record => toNumber(left(record)) * toNumber(right(record));
+    case '/': return record => toNumber(left(record)) / toNumber(right(record));
+    default: return record => compareValues(operator, left(record), right(record));
+  }
+}
+
+// Numbers compare as numbers, anything else as text
+function compareValues(operator, a, b) {
+  const numberA = toNumber(a);
+  const numberB = toNumber(b);
+  const numeric = !Number.isNaN(numberA) && !Number.isNaN(numberB);
+  const order = numeric
+    ? numberA - numberB
+    : naturalSort(toText(a), toText(b));
+
+  switch (operator) {
+    case '=': return numeric ? order === 0 : toText(a) === toText(b);
+    case '!=': return numeric ? order !== 0 : toText(a) !== toText(b);
+    case '<': return order < 0;
+    case '>': return order > 0;
+    case '<=': return order <= 0;
+    default: return order >= 0;
+  }
+}
+
+// ===== Association Statistics =====
+// Tests of association between the row and column values of a table of
+// record counts: chi-square with expected counts, Cramér's V, adjusted
+// standardized residuals and, for 2×2 tables, Fisher's exact test.
+
+// Cochran's rule for the chi-square approximation: no expected count below 1
+// and at most 20% of them below 5
+const MIN_EXPECTED_COUNT = 5;
+const MAX_SMALL_EXPECTED_SHARE = 0.2;
+
+// counts: one array of cell counts per row. Null unless the table has at
+// least two rows and two columns.
+function computeAssociationStats(counts) {
+  const rowCount = counts.length;
+  const colCount = rowCount > 0 ? counts[0].length : 0;
+  const sum = values => values.reduce((total, value) => total + value, 0);
+  const rowTotals = counts.map(sum);
+  const colTotals = Array.from({ length: colCount }, (_, j) => sum(counts.map(row => row[j])));
+  const total = sum(rowTotals);
+  if (rowCount < 2 || colCount < 2 || total === 0) return null;
+
+  const expected = counts.map((row, i) => row.map((_, j) => (rowTotals[i] * colTotals[j]) / total));
+  let chiSquare = 0;
+  const residuals = counts.map((row, i) => row.map((observed, j) => {
+    const expectedCount = expected[i][j];
+    chiSquare += ((observed - expectedCount) ** 2) / expectedCount;
+    const variance = expectedCount * (1 - rowTotals[i] / total) * (1 - colTotals[j] / total);
+    return variance > 0 ? (observed - expectedCount) / Math.sqrt(variance) : 0;
+  }));
+
+  const expectedCounts = expected.flat();
+  const smallCount = expectedCounts.filter(value => value < MIN_EXPECTED_COUNT).length;
+  const minExpected = expectedCounts.reduce((min, value) => Math.min(min, value), Infinity);
+  const df = (rowCount - 1) * (colCount - 1);
+
+  return {
+    rowTotals,
+    colTotals,
+    total,
+    expected,
+    residuals,
+    chiSquare,
+    df,
+    pValue: chiSquarePValue(chiSquare, df),
+    cramersV: Math.sqrt(chiSquare / (total * (Math.min(rowCount, colCount) - 1))),
+    smallExpected: { count: smallCount, share: smallCount / expectedCounts.length, min: minExpected },
+    expectedTooSmall: minExpected < 1 || smallCount / expectedCounts.length > MAX_SMALL_EXPECTED_SHARE,
+    fisherPValue: rowCount === 2 && colCount === 2 ? fisherExactPValue(counts) : null
+  };
+}
+
+// Upper tail of the chi-square distribution
+function chiSquarePValue(chiSquare, df) {
+  return regularizedGammaQ(df / 2, chiSquare / 2);
+}
+
+// Two-sided Fisher's exact test for a 2×2 table: the probability of all
+// tables with the same margins that are at most as likely as the observed one
+function fisherExactPValue([[a, b], [c, d]]) {
+  const row1 = a + b;
+  const row2 = c + d;
+  const col1 = a + c;
+  const n = row1 + row2;
+  const logFactorial = k => logGamma(k + 1);
+  const base = logFactorial(row1) + logFactorial(row2) + logFactorial(col1) + logFactorial(n - col1) - logFactorial(n);
+  const logProbability = k =>
+    base - logFactorial(k) - logFactorial(row1 - k) - logFactorial(col1 - k) - logFactorial(row2 - col1 + k);
+
+  const observed = logProbability(a);
+  let pValue = 0;
+  for (let k = Math.max(0, col1 - row2); k <= Math.min(row1, col1); k++) {
+    const logP = logProbability(k);
+    // Relative tolerance, so tables as likely as the observed one count despite rounding
+    if (logP <= observed + 1e-7) {
+      pValue += Math.exp(logP);
+    }
+  }
+  return Math.min(1, pValue);
+}
+
+// Lanczos approximation (g = 7)
+const LANCZOS_COEFFICIENTS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+  1.5056327351493116e-7
+];
+
+function logGamma(x) {
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  const z = x - 1;
+  let series = LANCZOS_COEFFICIENTS[0];
+  for (let i = 1; i < LANCZOS_COEFFICIENTS.length; i++) {
+    series += LANCZOS_COEFFICIENTS[i] / (z + i);
+  }
+  const t = z + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(series);
+}
+
+// Q(a, x) = Γ(a, x) / Γ(a): a series below a + 1, a continued fraction above
+function regularizedGammaQ(a, x) {
+  if (x <= 0) return 1;
+  const maxIterations = 1000;
+  const epsilon = 1e-14;
+  const prefix = Math.exp(-x + a * Math.log(x) - logGamma(a));
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < maxIterations; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * epsilon) break;
+    }
+    return Math.max(0, 1 - sum * prefix);
+  }
+
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let fraction = d;
+  for (let i = 1; i < maxIterations; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    fraction *= delta;
+    if (Math.abs(delta - 1) < epsilon) break;
+  }
+  return Math.min(1, prefix * fraction);
+}
+
+// ===== Field Profiling =====
+// Fill rate, distinct and top values and characters of each field, and
+// likely data-entry problems. Records are referred to by index.
+const PROFILE_TOP_VALUES = 5;
+// Fields filled in at least this share of the records are expected in all
+const COMMON_FIELD_SHARE = 0.9;
+
+function profileFields(records, fields, keyField = REFERENCE_FIELD) {
+  const profiles = [];
+  const nearDuplicates = [];
+  const missingFields = [];
+
+  fields.forEach((field) => {
+    const valueIndices = new Map();
+    records.forEach((record, index) => {
+      const value = record[field];
+      if (value === undefined || value === null || value === '') return;
+      if (!valueIndices.has(value)) {
+        valueIndices.set(value, []);
+      }
+      valueIndices.get(value).push(index);
+    });
+
+    const characters = new Map();
+    let filled = 0;
+    valueIndices.forEach((indices, value) => {
+      filled += indices.length;
+      for (const character of value) {
+        characters.set(character, (characters.get(character) || 0) + indices.length);
+      }
+    });
+
+    profiles.push({
+      field,
+      filled,
+      distinct: valueIndices.size,
+      topValues: Array.from(valueIndices, ([value, indices]) => ({ value, count: indices.length }))
+        .sort((a, b) => b.count - a.count || naturalSort(a.value, b.value))
+        .slice(0, PROFILE_TOP_VALUES),
+      characters: Array.from(characters, ([character, count]) => ({ character, count }))
+        .sort((a, b) => a.character.codePointAt(0) - b.character.codePointAt(0))
+    });
+
+    nearDuplicates.push(...findNearDuplicateValues(field, valueIndices));
+
+    if (filled < records.length && filled >= records.length * COMMON_FIELD_SHARE) {
+      const indices = [];
+      records.forEach((record, index) => {
+        if (!record[field]) indices.push(index);
+      });
+      missingFields.push({ field, filled, indices });
+    }
+  });
+
+  return {
+    recordCount: records.length,
+    fields: profiles,
+    nearDuplicates,
+    duplicateKeys: findDuplicateKeys(records, keyField),
+    missingFields
+  };
+}
+
+// Values that are the same apart from Unicode normalization, whitespace or
+// case, e.g. "dog" and "Dog " or a precomposed and a decomposed "é"
+function findNearDuplicateValues(field, valueIndices) {
+  const normalize = value => value.normalize('NFC');
+  const collapseWhitespace = value => normalize(value).trim().replace(/\s+/g, ' ');
+  const groups = new Map();
+  valueIndices.forEach((indices, value) => {
+    const key = collapseWhitespace(value).toLowerCase();
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(value);
+  });
+
+  const result = [];
+  groups.forEach((values) => {
+    if (values.length < 2) return;
+    // Each step that merges values shows one kind of difference
+    const distinct = transform => new Set(values.map(transform)).size;
+    const normalized = distinct(normalize);
+    const collapsed = distinct(collapseWhitespace);
+    const kinds = [];
+    if (normalized < values.length) kinds.push('normalization');
+    if (collapsed < normalized) kinds.push('whitespace');
+    if (collapsed > 1) kinds.push('case');
+
+    result.push({
+      field,
+      kinds,
+      values: values
+        .map(value => ({ value, count: valueIndices.get(value).length }))
+        .sort((a, b) => b.count - a.count),
+      indices: values.flatMap(value => valueIndices.get(value)).sort((a, b) => a - b)
+    });
+  });
+  return result;
+}
+
+function findDuplicateKeys(records, keyField) {
+  const keyIndices = new Map();
+  records.forEach((record, index) => {
+    const key = record[keyField];
+    if (!key) return;
+    if (!keyIndices.has(key)) {
+      keyIndices.set(key, []);
+    }
+    keyIndices.get(key).push(index);
+  });
+  return Array.from(keyIndices, ([key, indices]) => ({ key, indices }))
+    .filter(({ indices }) => indices.length > 1)
+    .sort((a, b) => naturalSort(a.key, b.key));
+}
+
+// ===== Record Diff =====
+// Field that identifies a record, also across versions of a database
+const REFERENCE_FIELD = 'Reference';
+
+// Matches the records of two versions by key and lists the records only in A
+// (removed), only in B (added) and in both with different values (modified),
+// by index. Keys are compared as text, so "007" and "7" are different records.
+// Records sharing a key are paired in file order.
+function diffRecords(recordsA, recordsB, fields, keyField = REFERENCE_FIELD) {
+  const groupByKey = (records) => {
+    const groups = new Map();
+    let unkeyed = 0;
+    records.forEach((record, index) => {
+      const key = record[keyField] || '';
+      if (!key) {
+        unkeyed++;
+        return;
+      }
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(index);
+    });
+    return { groups, unkeyed };
+  };
+
+  const a = groupByKey(recordsA);
+  const b = groupByKey(recordsB);
+  const added = [];
+  const removed = [];
+  const modified = [];
+  const duplicateKeys = [];
+  let unchanged = 0;
+
+  a.groups.forEach((indicesA, key) => {
+    const indicesB = b.groups.get(key) || [];
+    if (indicesA.length > 1 || indicesB.length > 1) {
+      duplicateKeys.push(key);
+    }
+    indicesA.forEach((indexA, i) => {
+      if (i >= indicesB.length) {
+        removed.push(indexA);
+        return;
+      }
+      const changes = getRecordChanges(recordsA[indexA], recordsB[indicesB[i]], fields);
+      if (changes.length > 0) {
+        modified.push({ a: indexA, b: indicesB[i], changes });
+      } else {
+        unchanged++;
+      }
+    });
+    added.push(...indicesB.slice(indicesA.length));
+  });
+  b.groups.forEach((indicesB, key) => {
+    if (a.groups.has(key)) return;
+    if (indicesB.length > 1) {
+      duplicateKeys.push(key);
+    }
+    added.push(...indicesB);
+  });
+
+  return {
+    added,
+    removed,
+    modified,
+    unchanged,
+    duplicateKeys,
+    unkeyed: { A: a.unkeyed, B: b.unkeyed }
+  };
+}
+
+// Fields whose values differ; a missing field counts as an empty value
+function getRecordChanges(before, after, fields) {
+  return fields
+    .filter(field => (before[field] || '') !== (after[field] || ''))
+    .map(field => ({ field, before: before[field] || '', after: after[field] || '' }));
+}
+
+// ===== Saving Edits =====
+// Writes edited values back into the XML text they were loaded from. Only the
+// content of edited elements changes, or a missing element is added after the
+// children that precede it in the file's order; everything else, including
+// empty elements, comments and whitespace, is copied unchanged. Values are
+// checked against the text first, so a different file is refused.
+
+// edits: [{ index, field, before, after }], at most one per record and field
+async function saveEditedXML(blob, { encoding = 'auto', edits, recordCount }) {
+  const head = new Uint8Array(await blob.slice(0, ENCODING_SAMPLE_SIZE).arrayBuffer());
+  const detected = encoding === 'auto' ? detectXMLEncoding(head) : { encoding, source: 'manual' };
+  const text = new TextDecoder(detected.encoding).decode(await blob.arrayBuffer());
+  const parser = createXMLRecordParser({ locate: new Set(edits.map(edit => edit.index)) });
+  parser.write(text);
+  const parsed = parser.end();
+
+  if (parsed.records.length !== recordCount) {
+    throw new Error(`The file doesn't match the loaded database: it has ${parsed.records.length} records instead of ${recordCount}.`);
+  }
+
+  const replacements = edits
+    .map(edit => getEditReplacement(text, parsed, edit))
+    .filter(Boolean)
+    // From the end, so that earlier positions stay valid; fields inserted at
+    // the same place are added last-first to keep their order
+    .sort((a, b) => (b.start - a.start) || (b.rank - a.rank));
+
+  let result = text;
+  replacements.forEach(({ start, end, content }) => {
+    result = result.slice(0, start) + content + result.slice(end);
+  });
+  return encodeUTF16(setDeclaredEncoding(result, 'UTF-16'));
+}
+
+function getEditReplacement(text, { records, locations, childNames }, { index, field, before, after }) {
+  const current = records[index][field] || '';
+  if (current !== before) {
+    throw new Error(`The file doesn't match the loaded database: ${field} of record ${index + 1} is "${current}" instead of "${before}".`);
+  }
+
+  const location = locations.get(index);
+  const found = location.fields.get(field) || [];
+  if (found.length > 1) {
+    throw new Error(`${field} has several values in record ${index + 1}; values of multi-valued fields can't be saved.`);
+  }
+
+  if (found.length === 1) {
+    const element = found[0];
+    if (element.hasChildren) {
+      throw new Error(`${field} contains other elements in record ${index + 1}; its value can't be saved.`);
+    }
+    if (element.selfClosing) {
+      if (!after) return null;
+      const open = text.slice(element.start, element.end).replace(/\s*\/>$/, '>');
+      return {
+        start: element.start, end: element.end, rank: 0,
+        content: `${open}${escapeXMLText(after)}</${element.name}>`
+      };
+    }
+    return { start: element.openEnd, end: element.closeStart, rank: 0, content: escapeXMLText(after) };
+  }
+
+  if (!after) return null;
+  if (field.includes(FIELD_PATH_SEPARATOR)) {
+    throw new Error(`Record ${index + 1} has no ${field.split(FIELD_PATH_SEPARATOR)[0]} element to add ${field} to.`);
+  }
+
+  // After the last child that comes no later than the field in the file's
+  // order, indented like it; at the start of the data_form if there is none
+  const rank = name => (childNames.includes(name) ? childNames.indexOf(name) : childNames.length);
+  const preceding = location.children.filter(child => rank(child.name) <= rank(field)).pop();
+  const indentSource = preceding || location.children[0];
+  const indent = indentSource ? getLeadingWhitespace(text, indentSource.start) : '';
+  return {
+    start: preceding ? preceding.end : location.openEnd,
+    end: preceding ? preceding.end : location.openEnd,
+    rank: rank(field),
+    content: `${indent}<${field}>${escapeXMLText(after)}</${field}>`
+  };
+}
+
+function getLeadingWhitespace(text, position) {
+  let start = position;
+  while (start > 0 && /\s/.test(text[start - 1])) start--;
+  return text.slice(start, position);
+}
+
+function escapeXMLText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function setDeclaredEncoding(text, encoding) {
+  return text.replace(/^(\s*<\?xml\b[^?]*?\bencoding\s*=\s*)(["'])[^"']*\2/, `$1$2${encoding}$2`);
+}
+
+// UTF-16 little endian with a byte order mark, as Dekereke writes it
+function encodeUTF16(text) {
+  const view = new DataView(new ArrayBuffer(2 + text.length * 2));
+  view.setUint16(0, 0xfeff, true);
+  for (let i = 0; i < text.length; i++) {
+    view.setUint16(2 + i * 2, text.charCodeAt(i), true);
+  }
+  return new Blob([view.buffer], { type: 'application/xml' });
+}
+
+// ===== Find and Replace =====
+// Replaces every match in a value. Plain text is matched literally; a regex
+// replacement can refer to the match as $&, to groups as $1 or $<name>, and
+// to a dollar sign as $$, as in String.prototype.replace.
+
+function createReplacer({ find, replacement = '', regex = false, ignoreCase = false }) {
+  if (!find) {
+    throw new Error('The text to find is empty.');
+  }
+  const flags = ignoreCase ? 'gi' : 'g';
+  const pattern = regex ? new RegExp(find, flags) : new RegExp(escapeRegex(find), flags);
+
+  // The value split into unchanged text ({ text }) and replaced matches
+  // ({ before, after }), or null if nothing matched
+  return (value) => {
+    const parts = [];
+    let last = 0;
+    for (const match of value.matchAll(pattern)) {
+      if (match.index > last) {
+        parts.push({ text: value.slice(last, match.index) });
+      }
+      parts.push({
+        before: match[0],
+        after: regex ? expandReplacement(replacement, match, value) : replacement
+      });
+      last = match.index + match[0].length;
+    }
+    if (parts.length === 0) return null;
+    if (last < value.length) {
+      parts.push({ text: value.slice(last) });
+    }
+    return parts;
+  };
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function expandReplacement(template, match, input) {
+  return template.replace(/\$(\$|&|`|'|\d{1,2}|<([^>]*)>)/g, (token, code, name) => {
+    if (code === '$') return '$';
+    if (code === '&') return match[0];
+    if (code === '`') return input.slice(0, match.index);
+    if (code === "'") return input.slice(match.index + match[0].length);
+    if (name !== undefined) {
+      if (!match.groups) return token;
+      return match.groups[name] !== undefined ? match.groups[name] : '';
+    }
+    // $12 is group 12 if there is one, otherwise group 1 followed by "2"
+    const digits = code.length === 2 && Number(code) > 0 && Number(code) < match.length ? code : code[0];
+    const group = Number(digits);
+    if (group === 0 || group >= match.length) return token;
+    return (match[group] !== undefined ? match[group] : '') + code.slice(digits.length);
+  });
+}
+
+// Records whose value of field changes: [{ record, before, after, parts }]
+function findReplacements(records, field, replace) {
+  const changes = [];
+  records.forEach((record) => {
+    const before = record[field] || '';
+    const parts = replace(before);
+    if (!parts) return;
+    const after = parts.map(part => (part.text !== undefined ? part.text : part.after)).join('');
+    if (after !== before) {
+      changes.push({ record, before, after, parts });
+    }
+  });
+  return changes;
+}
+
+// ===== Request Handler =====
+// Runs load/derive/filter/pivot requests against its own copy of the records. The
+// worker wraps one of these; the page uses one directly when workers are
+// unavailable. Pivot results refer to records by index so that they can be
+// matched back to the page's own record objects after crossing threads.
+// Records of the comparison database (B) are numbered after those of A.
+function createCoreHandler() {
+  let records = [];
+  let recordIndex = new Map();
+  let comparisonRecords = [];
+  let comparisonIndex = new Map();
+  const cancelledLoads = new Set();
+
+  function setRecords(newRecords) {
+    records = newRecords;
+    recordIndex = new Map(records.map((record, index) => [record, index]));
+  }
+
+  function setComparisonRecords(newRecords) {
+    comparisonRecords = newRecords || [];
+    comparisonIndex = new Map(comparisonRecords.map((record, index) => [record, index]));
+  }
+
+  const toIndex = record => (recordIndex.has(record)
+    ? recordIndex.get(record)
+    : records.length + comparisonIndex.get(record));
+  const toIndices = list => list.map(toIndex);
+  const mapToEntries = map => Array.from(map, ([key, list]) => [key, toIndices(list)]);
+
+  return async function handle(id, type, payload, onProgress) {
+    switch (type) {
+      case 'load': {
+        const result = await streamXMLRecords(payload.blob, {
+          encoding: payload.encoding,
+          onProgress,
+          isCancelled: () => cancelledLoads.has(id)
+        });
+        cancelledLoads.delete(id);
+        if (payload.target === 'comparison') {
+          setComparisonRecords(result.records);
+        } else {
+          setRecords(result.records);
+        }
+        return result;
+      }
+      case 'cancel':
+        cancelledLoads.add(payload.id);
+        return null;
+      case 'set-records':
+        setRecords(payload.records);
+        return null;
+      case 'set-comparison':
+        setComparisonRecords(payload.records);
+        return null;
+      case 'derive': {
+        // A definition named like a field of either database is skipped for both
+        const comparisonFields = payload.comparisonFields || [];
+        const reservedFields = [...payload.baseFields, ...comparisonFields];
+        // Fields of deleted definitions go first; all others are recomputed
+        payload.removed.forEach((field) => {
+          if (!payload.baseFields.includes(field)) {
+            records.forEach((record) => {
+              delete record[field];
+            });
+          }
+          if (!comparisonFields.includes(field)) {
+            comparisonRecords.forEach((record) => {
+              delete record[field];
+            });
+          }
+        });
+        const result = deriveFields(records, payload.definitions, payload.baseFields, reservedFields);
+        // The comparison database gets the same fields, computed from its own values
+        result.comparisonValues = deriveFields(
+          comparisonRecords, payload.definitions, payload.baseFields, reservedFields
+        ).values;
+        return result;
+      }
+      case 'edit':
+        // null removes a field the record didn't have
+        payload.changes.forEach(({ index, field, value }) => {
+          if (value === null) {
+            delete records[index][field];
+          } else {
+            records[index][field] = value;
+          }
+        });
+        return null;
+      case 'save-xml':
+        return saveEditedXML(payload.blob, payload);
+      case 'profile':
+        return profileFields(records, payload.fields);
+      case 'diff':
+        return diffRecords(records, comparisonRecords, payload.fields, payload.keyField);
+      case 'pivot': {
+        // A comparison pivot covers the records of both databases, so that
+        // both share the rows and columns
+        let filtered = filterRecords(records, payload.filterGroups);
+        if (payload.compare) {
+          filtered = filtered.concat(filterRecords(comparisonRecords, payload.filterGroups));
+        }
+        const pivot = generatePivotTable(
+          filtered, payload.rowFields, payload.colFields, payload.aggregation, payload.delimiters,
+          payload.matching
+        );
+        return {
+          ...pivot,
+          pivotMap: mapToEntries(pivot.pivotMap),
+          totalsMap: mapToEntries(pivot.totalsMap),
+          filteredIndices: toIndices(filtered)
+        };
+      }
+      default:
+        throw new Error(`Unknown request: ${type}`);
+    }
+  };
+}
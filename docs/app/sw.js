@@ -19,6 +19,8 @@ const urlsToCache = [
   './index.html',
   './styles.css',
   './app.js',
+  './core.js',
+  './worker.js',
   './manifest.json',
   './icons/icon-192.png',
   './icons/icon-512.png'
@@ -68,8 +70,10 @@ self.addEventListener('activate', (event) => {
 // Fetch event - serve from cache, fallback to network
 // Cache-first strategy for aggressive offline support
 self.addEventListener('fetch', (event) => {
+  // Page loads may carry a ?config= link; serve the cached page regardless
+  const matchOptions = event.request.mode === 'navigate' ? { ignoreSearch: true } : {};
   event.respondWith(
-    caches.match(event.request)
+    caches.match(event.request, matchOptions)
       .then((response) => {
         // Cache hit - return response from cache
         if (response) {
@@ -0,0 +1,34 @@
+// Copyright (C) 2025 Seth Johnston
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+//
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Background worker: keeps XML parsing, filtering and pivot generation off
+// the main thread so large databases don't freeze the page.
+importScripts('core.js');
+
+const handle = createCoreHandler();
+
+self.addEventListener('message', async (event) => {
+  const { id, type, payload } = event.data;
+  const onProgress = (progress) => {
+    self.postMessage({ id, type: 'progress', progress });
+  };
+
+  try {
+    const result = await handle(id, type, payload, onProgress);
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', error: { name: error.name, message: error.message } });
+  }
+});